@@ -0,0 +1,73 @@
+'use strict';
+
+/* eslint-disable no-console */
+
+/**
+ * Measures the per-invocation overhead of promise-based and callback-style listeners.
+ *
+ *     npm run bench [-- iterations]
+ */
+var P = require('bluebird');
+var hooks = require('../lib');
+
+var iterations = Number(process.argv[2]) || 20000;
+
+function callbackListener(value, done) {
+    done(null, value);
+}
+
+var suites = {
+    'promise listener': function () {
+        var hook = hooks.create();
+        hook.add(function (value) {
+            return value;
+        });
+        return hook;
+    },
+    'callback listener, promisified on every invocation': function () {
+        // the wrapping performed for each invocation before listener styles were fixed at add() time
+        var hook = hooks.create();
+        hook.add(function (value) {
+            return P.promisify(callbackListener)(value);
+        }, { style: 'promise' });
+        return hook;
+    },
+    'callback listener, style declared by the listener': function () {
+        var hook = hooks.create();
+        hook.add(callbackListener, { style: 'callback' });
+        return hook;
+    },
+    'callback listener, style declared by the event': function () {
+        var hook = hooks.create({ args: [{ name: 'value' }] });
+        hook.add(callbackListener);
+        return hook;
+    }
+};
+
+function measure(name, hook) {
+
+    var run = function (count) {
+        var i = 0;
+        var next = function () {
+            return i++ < count ? hook(i).then(next) : P.resolve();
+        };
+        return next();
+    };
+
+    var start;
+    return run(Math.ceil(iterations / 10))
+        .then(function () {
+            start = process.hrtime();
+            return run(iterations);
+        })
+        .then(function () {
+            var elapsed = process.hrtime(start);
+            var ms = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+            console.log('%s: %d ops/sec, %dµs/op', name, Math.round(iterations / ms * 1e3),
+                Math.round(ms * 1e3 / iterations * 100) / 100);
+        });
+}
+
+P.each(Object.keys(suites), function (name) {
+    return measure(name, suites[name]());
+});
@@ -54,7 +54,7 @@ gulp.task('major', function () {
 
 /* Validate JavaScript files */
 gulp.task('eslint', function () {
-    return gulp.src(['{lib,test}/**/*.js'])
+    return gulp.src(['{lib,test,benchmark}/**/*.js'])
         .pipe($.eslint())
         .pipe($.eslint.format())
         .pipe($.eslint.failAfterError());
@@ -2,61 +2,691 @@
 
 var _ = require('lodash');
 var util = require('util');
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
 var P = require('bluebird');
 var eu = require('ent-utils');
+var metrics = require('./metrics');
+var Observer = require('./observer');
+var Recorder = require('./recorder');
+var Transport = require('./transport');
 var internals = {};
 
+/**
+ * Receives warnings and swallowed listener errors
+ * @type {{warn: Function, error: Function}}
+ */
+internals.logger = console;
+
+/**
+ * Carries request context (such as the user, tenant or request id) from the callers of runHook() and hookified methods
+ * to listeners. Null on runtimes without AsyncLocalStorage (Node < 12.17), where context propagation is a no-op.
+ * @type {AsyncLocalStorage|null}
+ */
+internals.storage = _.isFunction(AsyncLocalStorage) ? new AsyncLocalStorage() : null;
+
+/**
+ * Returns the current context store
+ * @return {*}
+ */
+internals.currentStore = function () {
+    return internals.storage ? internals.storage.getStore() : undefined;
+};
+
+/**
+ * Runs a function with a context store, entering the store only if it is not the current one
+ * @param {*} store the context store
+ * @param {Function} fn
+ * @return {*} the function's result
+ */
+internals.runInContext = function (store, fn) {
+    return store === internals.currentStore() ? fn() : internals.storage.run(store, fn);
+};
+
+/**
+ * Returns the context store listeners invoked with a given "this" run with. Hook contexts capture the store when they
+ * are created; otherwise the current store is used.
+ * @param {*} self the listener context
+ * @return {*}
+ */
+internals.storeOf = function (self) {
+    return self instanceof HookContext ? self.store : internals.currentStore();
+};
+
 internals.prefix = function(prefix, string) {
     return prefix + string.substring(0, 1).toUpperCase() + string.substring(1);
 };
 
+/**
+ * Supported listener execution modes. "parallel" starts every listener at once, "priority" runs listeners one at a
+ * time in order of descending priority and "series" runs listeners one at a time in registration order
+ * @type {string[]}
+ */
+internals.modes = ['parallel', 'priority', 'series'];
+
+internals.assertMode = function (mode) {
+    if (mode && internals.modes.indexOf(mode) < 0) throw new Error('Unknown execution mode: ' + mode);
+};
+
+/**
+ * Supported hook types. An "event" hook resolves to the array of listener results while a "waterfall" hook passes
+ * its last argument through each listener in turn, resolving to the value returned by the final listener. An
+ * "around" hook composes its listeners Koa-style around an innermost function.
+ * @type {string[]}
+ */
+internals.types = ['event', 'waterfall', 'around'];
+
+internals.assertType = function (type) {
+    if (type && internals.types.indexOf(type) < 0) throw new Error('Unknown hook type: ' + type);
+};
+
+/**
+ * Supported listener failure policies. "fail-fast" rejects as soon as a listener fails, "collect" lets the remaining
+ * listeners run before rejecting with every failure and "swallow" logs failures and carries on
+ * @type {string[]}
+ */
+internals.errorPolicies = ['fail-fast', 'collect', 'swallow'];
+
+internals.assertErrorPolicy = function (policy) {
+    if (policy && internals.errorPolicies.indexOf(policy) < 0) throw new Error('Unknown error policy: ' + policy);
+};
+
+/**
+ * Aggregates the listener failures of a hook running under the "collect" error policy
+ * @param {string=} event the event name
+ * @param {Error[]} errors the listener failures
+ * @constructor
+ */
+function HookError(event, errors) {
+    Error.call(this);
+    Error.captureStackTrace(this, HookError);
+    this.name = 'HookError';
+    this.message = util.format('%d listener(s) failed for %s: %s', errors.length, event || 'hook',
+        _.pluck(errors, 'message').join(', '));
+    this.event = event;
+    this.errors = errors;
+}
+
+util.inherits(HookError, Error);
+
+/**
+ * Raised when a listener fails to settle within its timeout
+ * @param {string=} event the event name
+ * @param {Function} listener the offending listener
+ * @param {number} timeout the timeout in milliseconds
+ * @constructor
+ */
+function HookTimeoutError(event, listener, timeout) {
+    Error.call(this);
+    Error.captureStackTrace(this, HookTimeoutError);
+    this.name = 'HookTimeoutError';
+    this.message = util.format('Listener %s for %s timed out after %dms', listener.name || '<anonymous>',
+        event || 'hook', timeout);
+    this.event = event;
+    this.listener = listener;
+    this.timeout = timeout;
+}
+
+util.inherits(HookTimeoutError, Error);
+
+/**
+ * Raised when runHook is called with arguments that do not match the event's argument schema
+ * @param {string} event the event name
+ * @param {{name: string}} arg the offending argument declaration
+ * @param {number} position the argument position
+ * @param {string} problem
+ * @constructor
+ */
+function HookArgumentError(event, arg, position, problem) {
+    Error.call(this);
+    Error.captureStackTrace(this, HookArgumentError);
+    this.name = 'HookArgumentError';
+    this.message = util.format('Invalid argument "%s" (position %d) for %s: %s', arg.name, position, event, problem);
+    this.event = event;
+    this.argument = arg.name;
+    this.position = position;
+}
+
+util.inherits(HookArgumentError, Error);
+
+internals.assertTimeout = function (timeout) {
+    if (timeout !== undefined && !(_.isNumber(timeout) && timeout > 0)) {
+        throw new Error('Timeout must be a positive number');
+    }
+};
+
+internals.assertSync = function (options) {
+    if (options.sync && options.timeout !== undefined) throw new Error('Synchronous hooks cannot time out');
+    if (options.sync && options.type === 'around') throw new Error('Synchronous hooks cannot be around hooks');
+    if (options.sync && options.bufferUntilReady) throw new Error('Synchronous hooks cannot be buffered');
+};
+
+/**
+ * Supported startup queue overflow policies. "drop-newest" rejects the incoming call while "drop-oldest" rejects the
+ * longest queued call to make room
+ * @type {string[]}
+ */
+internals.startupOverflowPolicies = ['drop-newest', 'drop-oldest'];
+
+internals.assertStartupOverflow = function (overflow) {
+    if (overflow && internals.startupOverflowPolicies.indexOf(overflow) < 0) {
+        throw new Error('Unknown overflow policy: ' + overflow);
+    }
+};
+
+/**
+ * Supported listener styles. "promise" listeners return their result or a promise while "callback" listeners accept
+ * a trailing node-style callback
+ * @type {string[]}
+ */
+internals.styles = ['callback', 'promise'];
+
+internals.assertStyle = function (style) {
+    if (style && internals.styles.indexOf(style) < 0) throw new Error('Unknown listener style: ' + style);
+};
+
+/**
+ * Determines a listener's style when it is added, either from an explicit style or by comparing the listener's arity
+ * with the number of arguments declared by the event descriptor. Listeners of events that declare no arguments are
+ * promise-based unless they declare a callback style.
+ * @param {Function} listener
+ * @param {string=} style an explicit listener style
+ * @param {{args: Array=}} descriptor hook options
+ * @return {string} the listener style
+ */
+internals.listenerStyle = function (listener, style, descriptor) {
+    if (style) return style;
+    // around listeners are always handed a context and next()
+    if (descriptor.type === 'around' || _.isEmpty(descriptor.args)) return 'promise';
+    return listener.length > descriptor.args.length ? 'callback' : 'promise';
+};
+
+/**
+ * Invokes a single listener registration, promisifying callback-style listeners once and reusing the wrapper
+ * @param {{listener: Function, style: string, promisified: Function=}} entry a listener registration
+ * @param {*} self
+ * @param {Arguments|Array} args
+ * @return {Promise}
+ */
+internals.invoke = function (entry, self, args) {
+    return P.try(function () {
+        if (entry.style !== 'callback') return entry.listener.apply(self, args);
+
+        // the callback always lands in the listener's last parameter, even when optional arguments are omitted
+        args = _.toArray(args);
+        while (args.length < entry.listener.length - 1) args.push(undefined);
+
+        entry.promisified = entry.promisified || P.promisify(entry.listener);
+        return entry.promisified.apply(self, args);
+    });
+};
+
+/**
+ * Invokes a single listener of a synchronous hook. Listeners are called directly and must return their results
+ * rather than promises, unless their results are discarded: the promises of detached listeners are left to settle on
+ * their own and their rejections are logged.
+ * @param {Function} listener
+ * @param {*} self
+ * @param {Array} args
+ * @param {string=} event the event name
+ * @param {boolean=} detached whether the listener's result is discarded
+ * @return {*}
+ */
+internals.invokeSync = function (listener, self, args, event, detached) {
+    var result = listener.apply(self, args);
+    if (!result || !_.isFunction(result.then)) return result;
+
+    if (!detached) {
+        throw new Error(util.format('Listener %s for synchronous event %s returned a promise',
+            listener.name || '<anonymous>', event || 'hook'));
+    }
+
+    P.resolve(result).catch(function (err) {
+        internals.logger.error(util.format('Listener for %s failed', event || 'hook'), err);
+    });
+    return result;
+};
+
+/**
+ * Rejects with a HookTimeoutError if a listener does not settle in time, aborting the listener context's signal
+ * @param {Promise} promise the listener's result
+ * @param {number=} timeout the timeout in milliseconds
+ * @param {string=} event the event name
+ * @param {Function} listener
+ * @param {*} self the listener context
+ * @return {Promise}
+ */
+internals.timeout = function (promise, timeout, event, listener, self) {
+    if (!timeout) return promise;
+
+    return promise.timeout(timeout).catch(P.TimeoutError, function () {
+        var err = new HookTimeoutError(event, listener, timeout);
+        if (self instanceof HookContext) self.abort(err);
+        throw err;
+    });
+};
+
+/**
+ * Returns the location of the first stack frame outside of this module, identifying where a listener was registered
+ * @return {string|undefined}
+ */
+internals.location = function () {
+    var frame = _.find(new Error().stack.split('\n').slice(1), function (line) {
+        return line.indexOf(__filename) < 0;
+    });
+    return frame && frame.trim().replace(/^at /, '');
+};
+
+/**
+ * Returns the display name of a listener registration
+ * @param {Object} entry a listener registration
+ * @return {string}
+ */
+internals.entryName = function (entry) {
+    return entry.name || entry.listener.name || '<anonymous>';
+};
+
+/**
+ * Instrumentation reporters notified as events and listeners start and end
+ * @type {Object[]}
+ */
+internals.reporters = [];
+
+/**
+ * Returns a high resolution timestamp in milliseconds
+ * @return {number}
+ */
+internals.now = function () {
+    var time = process.hrtime();
+    return time[0] * 1e3 + time[1] / 1e6;
+};
+
+/**
+ * Notifies every reporter implementing a callback. Reporter failures are logged rather than affecting hooks.
+ * @param {string} callback the reporter callback name (e.g. "onEventStart")
+ * @param {Object} span
+ */
+internals.report = function (callback, span) {
+    internals.reporters.forEach(function (reporter) {
+        if (!_.isFunction(reporter[callback])) return;
+        try {
+            reporter[callback](span);
+        } catch (err) {
+            internals.logger.error(util.format('Reporter %s failed', callback), err);
+        }
+    });
+};
+
+/**
+ * Starts a span when instrumentation reporters are registered
+ * @param {string} kind "event" or "listener"
+ * @param {Object} props span properties such as the event and listener names
+ * @return {Object|null} the span
+ */
+internals.startSpan = function (kind, props) {
+    if (!internals.reporters.length) return null;
+
+    var span = _.assign({ kind: kind, start: internals.now() }, props);
+    internals.report(kind === 'event' ? 'onEventStart' : 'onListenerStart', span);
+    return span;
+};
+
+/**
+ * Ends a span, recording its duration and failure
+ * @param {Object|null} span
+ * @param {Error=} err
+ */
+internals.endSpan = function (span, err) {
+    if (!span) return;
+
+    span.end = internals.now();
+    span.duration = span.end - span.start;
+    span.error = err;
+    internals.report(span.kind === 'event' ? 'onEventEnd' : 'onListenerEnd', span);
+};
+
+/**
+ * Describes a listener registration for introspection
+ * @param {Object} entry a listener registration
+ * @return {{name: string, plugin: string=, priority: number, mode: string=, style: string=, timeout: number=,
+ *     times: number=, location: string=, invocations: number, lastError: Error=}}
+ */
+internals.describeEntry = function (entry) {
+    return {
+        name: internals.entryName(entry),
+        plugin: entry.plugin,
+        priority: entry.priority,
+        mode: entry.mode,
+        style: entry.style,
+        timeout: entry.timeout,
+        times: entry.times,
+        location: entry.location,
+        invocations: entry.invocations,
+        lastError: entry.lastError
+    };
+};
+
+/**
+ * Orders listener registrations and groups them into batches. Listeners within a batch run concurrently while
+ * batches run one after another. A listener may opt out of its event's mode using its own mode option.
+ * @param {Object[]} entries listener registrations
+ * @param {string} mode the event's execution mode
+ * @return {Object[][]}
+ */
+internals.schedule = function (entries, mode) {
+    var ordered = mode === 'series' ? entries : _.sortBy(entries, function (entry) {
+        return -entry.priority;
+    });
+
+    var batches = [];
+    var parallel = false;
+
+    ordered.forEach(function (entry) {
+        var concurrent = (entry.mode || (mode === 'series' ? 'series' : mode)) === 'parallel';
+        if (concurrent && parallel) {
+            _.last(batches).push(entry);
+        } else {
+            batches.push([entry]);
+        }
+        parallel = concurrent;
+    });
+
+    return batches;
+};
+
+/**
+ * Runs listeners one at a time, handing each the value returned by the previous listener in place of the last
+ * argument. Listeners returning undefined leave the value unchanged.
+ * @param {Object[]} entries scheduled listener registrations
+ * @param {Function} call invokes a listener registration with an argument array
+ * @param {Array} args
+ * @return {Promise} the final value
+ */
+internals.waterfall = function (entries, call, args) {
+    var leading = _.initial(args);
+
+    return entries.reduce(function (promise, entry) {
+        return promise.then(function (value) {
+            return call(entry, leading.concat([value])).then(function (next) {
+                return next === undefined ? value : next;
+            });
+        });
+    }, P.resolve(_.last(args)));
+};
+
+/**
+ * Composes around listeners Koa-style. Each listener receives the context and a next() function that runs the
+ * remaining listeners followed by the innermost function, resolving to their result. A listener may call next() any
+ * number of times, change ctx.args before doing so and transform the result or the failure. Its return value replaces
+ * the result unless it is undefined, in which case ctx.result is kept.
+ * @param {Object[]} entries scheduled listener registrations
+ * @param {Function} call invokes a listener registration with an argument array
+ * @param {Object} ctx the context shared by every layer
+ * @param {Function} core the innermost function, invoked with the context
+ * @return {Promise} the result of the outermost layer
+ */
+internals.compose = function (entries, call, ctx, core) {
+    var dispatch = function (index) {
+        var layer = index < entries.length ?
+            call(entries[index], [ctx, function next() {
+                return dispatch(index + 1);
+            }]) :
+            P.try(function () {
+                return internals.runInContext(internals.storeOf(ctx), function () {
+                    return core(ctx);
+                });
+            });
+
+        return layer.then(function (value) {
+            if (value !== undefined) ctx.result = value;
+            return ctx.result;
+        });
+    };
+
+    return dispatch(0);
+};
+
+/**
+ * Synchronous counterpart of waterfall()
+ * @param {Object[]} entries scheduled listener registrations
+ * @param {Function} call invokes a listener registration with an argument array
+ * @param {Array} args
+ * @return {*} the final value
+ */
+internals.waterfallSync = function (entries, call, args) {
+    var leading = _.initial(args);
+
+    return entries.reduce(function (value, entry) {
+        var next = call(entry, leading.concat([value]));
+        return next === undefined ? value : next;
+    }, _.last(args));
+};
+
+/**
+ * Applies a hook's error policy to a listener failure
+ * @param {{id: string=, errorPolicy: string=}} options hook options
+ * @param {Error} err the listener failure
+ * @param {Error[]} errors failures collected so far
+ * @return {undefined} if the failure was collected or swallowed
+ */
+internals.recover = function (options, err, errors) {
+    switch (options.errorPolicy) {
+        case 'collect':
+            errors.push(err);
+            return;
+        case 'swallow':
+            internals.logger.error(util.format('Listener for %s failed', options.id || 'hook'), err);
+            return;
+        default:
+            throw err;
+    }
+};
+
 /**
  * Composes a new hook function that maintains its own list of listeners. The function, when invoked,
  * return a promise that resolves to an array of all handler resolutions. Handlers may be promise-based
- * or may accept an extra callback argument.
+ * or may accept an extra callback argument. Waterfall hooks instead resolve to their reduced last argument.
+ * Synchronous hooks skip promises altogether: see runSync(). Around hooks are invoked with a context and an innermost
+ * function and resolve to the composed result.
+ * @param {{mode: string=, type: string=, errorPolicy: string=, timeout: number=, sync: boolean=, pattern: boolean=}=}
+ * options hook options, typically the event descriptor. Pattern hooks are invoked with the resolved event name
+ * followed by the event arguments, and their results are discarded.
  * @return {Function}
  */
-var createHook = function createHook() {
+var createHook = function createHook(options) {
     var listeners = [];
 
-    // a wrapper around Promise.all()
+    // bounded listeners are claimed as the hook fires so that concurrent invocations cannot exceed their limit
+    var claim = function () {
+        var active = listeners.slice();
+        active.forEach(function (entry) {
+            if (entry.times && --entry.remaining === 0) _.pull(listeners, entry);
+        });
+        return internals.schedule(active, hook.options.mode || 'parallel');
+    };
+
+    // runs each batch of listeners through Promise.all() and collects their results in execution order
     var hook = function() {
-        var args = arguments;
+        if (hook.options.sync) return hook.runSync.apply(this, arguments);
+
+        var args = _.toArray(arguments);
         var self = this;
-        return P.all(listeners.map(function(listener) {
-            listener = listener.length <= args.length ? listener : P.promisify(listener);
-            return listener.apply(self, args);
-        }));
+        var event = hook.options.pattern ? args[0] : hook.options.id;
+        var store = internals.storeOf(self);
+        var errors = [];
+        var batches = claim();
+
+        var call = function (entry, callArgs) {
+            var span = internals.startSpan('listener', { event: event, listener: internals.entryName(entry) });
+            entry.invocations++;
+
+            // listeners run in their caller's context, which bluebird's scheduler does not carry over
+            var result = internals.runInContext(store, function () {
+                return internals.invoke(entry, self, callArgs);
+            });
+            return internals.timeout(result, entry.timeout || hook.options.timeout, event, entry.listener, self)
+                .then(function (value) {
+                    internals.endSpan(span);
+                    return value;
+                }, function (err) {
+                    internals.endSpan(span, err);
+                    entry.lastError = err;
+                    return internals.recover(hook.options, err, errors);
+                });
+        };
+
+        var result = hook.options.type === 'around' ? internals.compose(_.flatten(batches), call, args[0], args[1]) :
+            hook.options.type === 'waterfall' ? internals.waterfall(_.flatten(batches), call, args) :
+            P.reduce(batches, function (results, batch) {
+                return P.all(batch.map(function (entry) {
+                    return call(entry, args);
+                })).then(function (batchResults) {
+                    return results.concat(batchResults);
+                });
+            }, []);
+
+        return result.then(function (value) {
+            if (errors.length) throw new HookError(event, errors);
+            return value;
+        });
+    };
+
+    /**
+     * Runs the listeners one at a time in priority order and returns their results (or the reduced last argument of
+     * a waterfall hook) directly. Listeners may neither accept callbacks nor return promises, except on pattern hooks
+     * whose results are discarded, and listener failures are thrown rather than rejected.
+     * @return {*}
+     */
+    hook.runSync = function runSync() {
+        var args = _.toArray(arguments);
+        var self = this;
+        var event = hook.options.pattern ? args[0] : hook.options.id;
+        var errors = [];
+        var entries = _.flatten(claim());
+
+        var call = function (entry, callArgs) {
+            var span = internals.startSpan('listener', { event: event, listener: internals.entryName(entry) });
+            entry.invocations++;
+            try {
+                var value = internals.invokeSync(entry.listener, self, callArgs, event, hook.options.pattern);
+                internals.endSpan(span);
+                return value;
+            } catch (err) {
+                internals.endSpan(span, err);
+                entry.lastError = err;
+                return internals.recover(hook.options, err, errors);
+            }
+        };
+
+        var result = hook.options.type === 'waterfall' ?
+            internals.waterfallSync(entries, call, args) :
+            entries.map(function (entry) {
+                return call(entry, args);
+            });
+
+        if (errors.length) throw new HookError(event, errors);
+        return result;
     };
 
+    hook.options = options || {};
+    internals.assertMode(hook.options.mode);
+    internals.assertType(hook.options.type);
+    internals.assertErrorPolicy(hook.options.errorPolicy);
+    internals.assertTimeout(hook.options.timeout);
+    internals.assertSync(hook.options);
+
     /**
      * Adds a new promise-based or async listener function
      * @param listener
+     * @param {{priority: number=, mode: string=, style: string=, timeout: number=, times: number=, name: string=,
+     * plugin: string=}=} options higher priority listeners run first. A listener with a "series" mode runs by itself
+     * while a "parallel" listener may run alongside its neighbors. A "callback" or "promise" style fixes how the
+     * listener is invoked; by default a listener declaring more parameters than the event declares arguments is a
+     * callback listener, and listeners of events that declare no arguments are promise-based. A timeout (in
+     * milliseconds) overrides the hook's timeout. A listener with a times limit removes itself after being invoked
+     * that many times. The name and owning plugin are reported by listeners().
      * @return {{remove: Function}} registration a registration object with a remove function to remove the handler
      */
-    hook.add = function add(listener) {
+    hook.add = function add(listener, options) {
         if (!listener) throw new Error('Listener must be a function');
 
-        listeners.push(listener);
+        options = options || {};
+        internals.assertMode(options.mode);
+        internals.assertStyle(options.style);
+        internals.assertTimeout(options.timeout);
+        if (hook.options.sync && options.style === 'callback') {
+            throw new Error('Synchronous hooks do not support callback listeners');
+        }
+        if (options.priority !== undefined && !_.isNumber(options.priority)) throw new Error('Priority must be a number');
+        if (options.times !== undefined && !(options.times > 0 && options.times % 1 === 0)) {
+            throw new Error('Times must be a positive integer');
+        }
+
+        var entry = {
+            listener: listener,
+            priority: options.priority || 0,
+            mode: options.mode,
+            style: internals.listenerStyle(listener, options.style, hook.options),
+            timeout: options.timeout,
+            times: options.times,
+            remaining: options.times,
+            name: options.name,
+            plugin: options.plugin,
+            location: internals.location(),
+            invocations: 0
+        };
+
+        listeners.push(entry);
 
         return {
-            remove: hook.remove.bind(hook, listener)
+            remove: function () {
+                _.pull(listeners, entry);
+            }
         };
     };
 
+    /**
+     * Adds a listener that removes itself after its first invocation
+     * @param listener
+     * @param {Object=} options listener options
+     * @return {{remove: Function}} registration
+     */
+    hook.once = function once(listener, options) {
+        return hook.add(listener, _.assign({}, options, { times: 1 }));
+    };
+
     /**
      * Removes a listener
      * @param listener
      * @return {createHook} for chaining
      */
     hook.remove = function remove(listener) {
-        var index = listeners.indexOf(listener);
+        var index = _.findIndex(listeners, { listener: listener });
         if (index >= 0) {
             listeners.splice(index, 1);
         }
         return this;
     };
 
+    /**
+     * Takes over the listeners of another hook, such as one registered under a name that has since become an alias
+     * of this hook's event. Their registrations keep working.
+     * @param {Function} other a hook created by createHook()
+     */
+    hook.absorb = function absorb(other) {
+        listeners.push.apply(listeners, other.share(listeners));
+    };
+
+    /**
+     * Hands over the listeners of this hook, which then keeps its listeners in another hook's list
+     * @param {Object[]} target the listener list of the absorbing hook
+     * @return {Object[]} the listeners held so far
+     */
+    hook.share = function share(target) {
+        var own = listeners;
+        listeners = target;
+        return own;
+    };
+
     /**
      * Removes all listeners
      */
@@ -64,6 +694,24 @@ var createHook = function createHook() {
         listeners = [];
     };
 
+    /**
+     * Removes the listeners owned by a plugin
+     * @param {string} plugin the plugin name
+     * @return {number} the number of listeners removed
+     */
+    hook.removePlugin = function removePlugin(plugin) {
+        var removed = _.remove(listeners, { plugin: plugin });
+        return removed.length;
+    };
+
+    /**
+     * Describes the registered listeners in registration order
+     * @return {Object[]}
+     */
+    hook.listeners = function () {
+        return listeners.map(internals.describeEntry);
+    };
+
     /**
      * Returns the number of listeners registered for the hook
      * @return {Array.length|*}
@@ -76,131 +724,1370 @@ var createHook = function createHook() {
 };
 
 /**
- * Global registry of hook types
- * @type {{}}
- */
-var hookTypes = exports.hookTypes = {};
-
-/**
- * Binds hook registrations to named hook events. Hooks are invoked on any handlers registered
- * locally as well as on any global listeners
- * @param {Hooks=} parent the parent hooks registry (always the global registry)
- * @param {string=} prefix a prefix for resolving shorthand event names
+ * A catalog of event descriptors and the aliases of renamed events. Event types must be registered with a catalog
+ * before they can be listened for or emitted.
  * @constructor
  */
-function Hooks(parent, prefix) {
-    this.parent = parent;
-    this.prefix = prefix;
-    this.hooks = {};
-    this.args = [];
+function EventCatalog() {
+    this.types = {};
+    this.aliases = {};
+    this.warned = {};
 }
 
 /**
- * Expands a shorthand event into its fully qualified name
- * @param {String} event a shorthand event name (e.g. "beforeScan")
- * @return {*}
+ * Registers event descriptors. Event descriptors must be registered prior to being emitted or listened for.
+ * Event descriptors should have enough documentation to aid hook consumers
+ * @example
+ * <pre>
+ *     hooks.addEvents({
+ *         id: 'datasource.beforeScan',
+ *         description: 'Fired before a datasource is scanned',
+ *         args: [{ name: 'datasource', type: Datasource, required: true }, { name: 'options', type: 'object' }],
+ *         validate: 'strict',
+ *         plugin: 'ent-datasources',
+ *         mode: 'priority',
+ *         type: 'waterfall',
+ *         errorPolicy: 'swallow',
+ *         timeout: 5000,
+ *         bubble: 'root-first',
+ *         deprecated: 'use datasource.beforeIndex'
+ *     });
+ *
+ *     // synchronous events call their listeners directly and return their results instead of promises
+ *     hooks.addEvents({ id: 'pipeline.transformRow', type: 'waterfall', sync: true });
+ *
+ *     // calls made in startup mode are queued until the registry is ready: see Hooks#startup()
+ *     hooks.addEvents({ id: 'datasource.registered', bufferUntilReady: true });
+ *
+ *     // renames an event. Listeners registered with the old name, before or after the rename, bind to the new event
+ *     // and those registered afterwards warn once
+ *     hooks.addEvents({ id: 'datasource.beforeIndex', aliases: ['datasource.beforeScan'] });
+ * </pre>
+ * @param {...(string|Object) | (string|Object)[]} events event names or descriptors
  */
-Hooks.prototype.resolveEvent = function(event) {
-    return this.prefix ? util.format('%s.%s', this.prefix, event) : event;
+EventCatalog.prototype.add = function (events) {
+    var self = this;
+
+    events = _.isArray(events) ? events : [].slice.call(arguments);
+    events.map(internals.normalizeEvent).forEach(function (descriptor) {
+        // the latest declaration of a name wins, whether it is an event or an alias
+        delete self.aliases[descriptor.id];
+        self.types[descriptor.id] = descriptor;
+
+        descriptor.aliases.forEach(function (alias) {
+            delete self.types[alias];
+            self.aliases[alias] = descriptor.id;
+        });
+    });
 };
 
 /**
- * Returns the hook function bound to a given event name
- * @param {String} event resolved event name (e.g. "datasource.beforeScan")
- * @return {Function}
+ * Removes event types along with their aliases
+ * @param {string[]} events fully qualified event names
  */
-Hooks.prototype.getHook = function(event) {
-    if (!hookTypes.hasOwnProperty(event)) throw new Error('Unknown event: ' + event);
-    this.hooks[event] = this.hooks[event] || createHook();
-    return this.hooks[event];
+EventCatalog.prototype.remove = function (events) {
+    var self = this;
+
+    events.forEach(function (event) {
+        delete self.types[event];
+    });
+
+    _.forEach(this.aliases, function (event, alias) {
+        if (events.indexOf(event) >= 0) delete self.aliases[alias];
+    });
 };
 
 /**
- * Registers a listener with a hook event
+ * Lists all registered event descriptors ordered by id
+ * @return {Object[]}
+ */
+EventCatalog.prototype.list = function () {
+    return _.sortBy(_.values(this.types), 'id');
+};
+
+/**
+ * Returns the descriptor for a registered event or alias
+ * @param {string} id the fully qualified event name (e.g. "datasource.beforeScan")
+ * @return {Object|undefined}
+ */
+EventCatalog.prototype.get = function (id) {
+    id = this.canonical(id);
+    return this.types.hasOwnProperty(id) ? this.types[id] : undefined;
+};
+
+/**
+ * Lists the registered event descriptors whose ids begin with a prefix
+ * @param {string} prefix an event prefix (e.g. "datasource" or "datasource.before")
+ * @return {Object[]}
+ */
+EventCatalog.prototype.find = function (prefix) {
+    return this.list().filter(function (descriptor) {
+        return _.startsWith(descriptor.id, prefix);
+    });
+};
+
+/**
+ * Resolves an alias to its canonical event name
+ * @param {string} event a fully qualified event name
+ * @return {string}
+ */
+EventCatalog.prototype.canonical = function (event) {
+    return this.aliases.hasOwnProperty(event) ? this.aliases[event] : event;
+};
+
+/**
+ * Logs a one-time warning when listeners are registered with an alias or a deprecated event
+ * @param {string} event a fully qualified event name
+ */
+EventCatalog.prototype.warnDeprecated = function (event) {
+    if (this.warned[event]) return;
+
+    var canonical = this.canonical(event);
+    var descriptor = this.get(canonical);
+    var warning;
+
+    if (canonical !== event) {
+        warning = util.format('Event %s is deprecated, listening to %s instead', event, canonical);
+    } else if (descriptor && descriptor.deprecated) {
+        warning = util.format('Event %s is deprecated: %s', event, descriptor.deprecated);
+    }
+
+    if (warning) {
+        this.warned[event] = true;
+        internals.logger.warn(warning);
+    }
+};
+
+/**
+ * The context ("this") of listeners invoked through runHook. A hookified call shares a single context between its
+ * before and after hooks. The context captures the caller's context store (see hooks.context()) and restores it
+ * around every listener. Calls coming from a connected registry in another thread or process are flagged as remote.
+ * @constructor
+ */
+function HookContext() {
+    this.event = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+    this.remote = false;
+    this.store = internals.currentStore();
+}
+
+/**
+ * The AbortController constructor, missing on runtimes before Node 15
+ * @type {Function|null}
+ */
+internals.AbortController = _.isFunction(global.AbortController) ? global.AbortController : null;
+
+/**
+ * An AbortSignal that is aborted once a listener of the call times out or the call is aborted, letting long-running
+ * listeners stop cooperatively. Created on first access. Undefined on runtimes without AbortController.
+ * @name HookContext#signal
+ * @type {AbortSignal|undefined}
+ */
+Object.defineProperty(HookContext.prototype, 'signal', {
+    get: function () {
+        if (!internals.AbortController) return undefined;
+
+        this.controller = this.controller || new internals.AbortController();
+        return this.controller.signal;
+    }
+});
+
+/**
+ * Aborts the call's signal. Does nothing on runtimes without AbortController.
+ * @param {*=} reason
+ */
+HookContext.prototype.abort = function (reason) {
+    var signal = this.signal;
+    if (signal && !signal.aborted) this.controller.abort(reason);
+};
+
+/**
+ * Cancels a hookified method from within a before listener. The method is not invoked and the call resolves to the
+ * supplied result instead. After listeners can check this.defaultPrevented to tell that the call was short-circuited.
+ * @param {*=} result the replacement result
+ */
+HookContext.prototype.preventDefault = function (result) {
+    this.defaultPrevented = true;
+    this.result = result;
+};
+
+/**
+ * Keeps the current event from reaching the remaining registries in its bubbling chain once the listeners of the
+ * current registry have settled
+ */
+HookContext.prototype.stopPropagation = function () {
+    this.propagationStopped = true;
+};
+
+/**
+ * Supported bubbling orders. "child-first" runs the listeners of the emitting registry before those of its
+ * ancestors while "root-first" starts with the root registry
+ * @type {string[]}
+ */
+internals.bubbleOrders = ['child-first', 'root-first'];
+
+internals.assertBubble = function (bubble) {
+    if (bubble && internals.bubbleOrders.indexOf(bubble) < 0) throw new Error('Unknown bubbling order: ' + bubble);
+};
+
+/**
+ * Binds hook registrations to named hook events. Hooks are invoked on any handlers registered
+ * locally as well as on the listeners of every ancestor registry
+ * @param {Hooks=} parent the parent hooks registry
+ * @param {string=} prefix a prefix for resolving shorthand event names
+ * @param {EventCatalog=} catalog the catalog of event types. Defaults to the parent's catalog, or a new catalog for
+ * root registries
+ * @constructor
+ */
+function Hooks(parent, prefix, catalog) {
+    this.id = ++internals.registryCount;
+    this.catalog = catalog || (parent ? parent.catalog : new EventCatalog());
+    this.parent = parent;
+    this.prefix = prefix;
+    this.hooks = {};
+    this.args = [];
+
+    // created on first use, keeping HasHooks construction cheap
+    this.patterns = null;
+    this.observers = null;
+    this.links = null;
+    this.children = null;
+    this.ref = null;
+    this.startupQueue = null;
+}
+
+internals.registryCount = 0;
+
+/**
+ * Forgets child registries once they are garbage collected. Missing on runtimes without weak references (Node < 14.6).
+ * @type {FinalizationRegistry|null}
+ */
+internals.finalizer = _.isFunction(global.WeakRef) && _.isFunction(global.FinalizationRegistry) ?
+    new global.FinalizationRegistry(function (held) {
+        held.children.delete(held.ref);
+    }) : null;
+
+/**
+ * Makes this registry and its ancestors weakly reachable from their parents for inspection and teardown. Registries
+ * are only tracked once they hold listeners, so that creating HasHooks objects stays cheap. Runtimes without weak
+ * references (Node < 14.6) track no registries, since holding them strongly would keep every one of them alive.
+ */
+Hooks.prototype.track = function () {
+    if (!internals.finalizer || this.ref || !this.parent) return;
+
+    this.ref = new global.WeakRef(this);
+    this.parent.children = this.parent.children || new Set();
+    this.parent.children.add(this.ref);
+    internals.finalizer.register(this, { children: this.parent.children, ref: this.ref }, this.ref);
+
+    this.parent.track();
+};
+
+/**
+ * Stops tracking this registry
+ */
+Hooks.prototype.untrack = function () {
+    if (!this.ref) return;
+
+    this.parent.children.delete(this.ref);
+    internals.finalizer.unregister(this.ref);
+    this.ref = null;
+};
+
+/**
+ * Returns the live descendants of this registry that hold listeners, or whose descendants do. Always empty on
+ * runtimes without weak references (Node < 14.6): see track().
+ * @return {Hooks[]}
+ */
+Hooks.prototype.descendants = function () {
+    var descendants = [];
+    if (!this.children) return descendants;
+
+    this.children.forEach(function (ref) {
+        var child = ref.deref();
+        if (child) descendants.push.apply(descendants, [child].concat(child.descendants()));
+    });
+    return descendants;
+};
+
+/**
+ * Detaches this registry from its parent, removing its listeners and closing its observers and transports. Used for
+ * short-lived registries such as those scoped to a request.
+ * @return {Hooks}
+ */
+Hooks.prototype.dispose = function () {
+    this.removeAllListeners();
+    _.pluck(this.observers, 'observer').forEach(function (observer) {
+        if (_.isFunction(observer.close)) observer.close();
+    });
+    this.observers = [];
+    _.pluck(this.links, 'transport').forEach(function (transport) {
+        transport.close();
+    });
+
+    this.untrack();
+    return this;
+};
+
+/**
+ * Returns a label identifying this registry in introspection output (e.g. "query#12")
+ * @return {string}
+ */
+Hooks.prototype.label = function () {
+    return (this.prefix || 'root') + '#' + this.id;
+};
+
+Hooks.prototype.toJSON = Hooks.prototype.label;
+
+/**
+ * Describes the listeners registered with this registry alone for a resolved event, including matching pattern
+ * listeners
+ * @param {string} event resolved event name (e.g. "datasource.beforeScan")
+ * @return {Object[]}
+ */
+Hooks.prototype.localListeners = function (event) {
+    var registry = this.label();
+    var descriptor = this.catalog.get(event);
+    if (descriptor) this.mergeAliases(descriptor);
+    var exact = this.hooks[event] ? this.hooks[event].listeners() : [];
+
+    var patterns = _.flatten(_.filter(this.patterns, function (subscription) {
+        return subscription.regex.test(event);
+    }).map(function (subscription) {
+        return subscription.hook.listeners().map(function (listener) {
+            return _.assign(listener, { pattern: subscription.regex.source });
+        });
+    }));
+
+    return exact.concat(patterns).map(function (listener) {
+        return _.assign(listener, { registry: registry });
+    });
+};
+
+/**
+ * Describes every listener an event reaches when fired from this registry, in bubbling order
+ * @param {string} event a shorthand event name
+ * @return {Object[]}
+ */
+Hooks.prototype.listeners = function (event) {
+    event = this.resolveEvent(event);
+    var chain = this.ancestry();
+    if (this.getHook(event).options.bubble === 'root-first') chain.reverse();
+
+    return _.flatten(chain.map(function (hooks) {
+        return hooks.localListeners(event);
+    }));
+};
+
+/**
+ * Dumps every registered event type along with the listeners attached to this registry and its live descendants.
+ * Runtimes without weak references (Node < 14.6) only report this registry's listeners.
+ * @return {{id: string, description: string=, listeners: Object[]}[]}
+ */
+Hooks.prototype.inspect = function () {
+    var registries = [this].concat(this.descendants());
+
+    return this.catalog.list().map(function (descriptor) {
+        return {
+            id: descriptor.id,
+            description: descriptor.description,
+            listeners: _.flatten(registries.map(function (hooks) {
+                return hooks.localListeners(descriptor.id);
+            }))
+        };
+    });
+};
+
+/**
+ * Checks whether an event subscription is a wildcard or regular expression pattern
+ * @param {string|RegExp} event
+ * @return {boolean}
+ */
+internals.isPattern = function (event) {
+    return _.isRegExp(event) || event.indexOf('*') >= 0;
+};
+
+/**
+ * Compiles a wildcard pattern into a regular expression. "*" matches within a single segment of an event name while
+ * "**" matches across segments (e.g. "query.*" or "*.afterExecute")
+ * @param {string|RegExp} pattern
+ * @return {RegExp}
+ */
+internals.compilePattern = function (pattern) {
+    if (_.isRegExp(pattern)) return pattern;
+
+    return new RegExp('^' + pattern.split('**').map(function (part) {
+        return part.split('*').map(function (literal) {
+            return literal && _.escapeRegExp(literal);
+        }).join('[^.]*');
+    }).join('.*') + '$');
+};
+
+/**
+ * Compiles a shorthand event name or pattern into a regular expression matching resolved event names
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @return {RegExp}
+ */
+Hooks.prototype.compileEvent = function (event) {
+    if (!internals.isPattern(event)) return internals.compilePattern(this.getHook(this.resolveEvent(event)).options.id);
+    return internals.compilePattern(_.isRegExp(event) ? event : this.qualifyEvent(event));
+};
+
+/**
+ * Expands a shorthand event into its fully qualified name without resolving aliases
+ * @param {String} event a shorthand event name (e.g. "beforeScan")
+ * @return {*}
+ */
+Hooks.prototype.qualifyEvent = function(event) {
+    return this.prefix ? util.format('%s.%s', this.prefix, event) : event;
+};
+
+/**
+ * Expands a shorthand event into its fully qualified, canonical name
+ * @param {String} event a shorthand event name (e.g. "beforeScan")
+ * @return {*}
+ */
+Hooks.prototype.resolveEvent = function(event) {
+    return this.catalog.canonical(this.qualifyEvent(event));
+};
+
+/**
+ * Returns the descriptor of an event
  * @param {String} event a shorthand event name
+ * @return {Object|undefined}
+ */
+Hooks.prototype.describe = function (event) {
+    return this.catalog.get(this.resolveEvent(event));
+};
+
+/**
+ * Returns the hook function bound to a given event name
+ * @param {String} event resolved event name (e.g. "datasource.beforeScan")
+ * @return {Function}
+ */
+Hooks.prototype.getHook = function(event) {
+    var descriptor = this.catalog.get(event);
+    if (!descriptor || descriptor.id !== event) throw new Error('Unknown event: ' + event);
+    this.mergeAliases(descriptor);
+    var hook = this.hooks[event] = this.hooks[event] || createHook();
+
+    // events may be re-registered with a different execution mode
+    hook.options = descriptor;
+    return hook;
+};
+
+/**
+ * Moves the listeners registered with an event's aliases, before those names became aliases, to the event itself
+ * @param {{id: string, aliases: string[]}} descriptor the event descriptor
+ */
+Hooks.prototype.mergeAliases = function (descriptor) {
+    var self = this;
+
+    descriptor.aliases.forEach(function (alias) {
+        var renamed = self.hooks[alias];
+        if (!renamed) return;
+
+        delete self.hooks[alias];
+        if (self.hooks[descriptor.id]) self.hooks[descriptor.id].absorb(renamed);
+        else self.hooks[descriptor.id] = renamed;
+    });
+};
+
+/**
+ * Registers a listener with a hook event. Wildcard and regular expression patterns subscribe to every matching
+ * event, including events registered later on.
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @param {Function} listener the listener function
+ * @param {{priority: number=, mode: string=, timeout: number=}=} options listener options
+ * @return {{ remove: Function }} a registration object
+ */
+Hooks.prototype.on = function on(event, listener, options) {
+    if (internals.isPattern(event)) return this.onPattern(event, listener, options);
+
+    this.catalog.warnDeprecated(this.qualifyEvent(event));
+    var registration = this.getHook(this.resolveEvent(event)).add(listener, options);
+    this.track();
+    return registration;
+};
+
+/**
+ * Registers a listener that removes itself after its first invocation
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @param {Function} listener the listener function
+ * @param {Object=} options listener options
+ * @return {{ remove: Function }} a registration object
+ */
+Hooks.prototype.once = function once(event, listener, options) {
+    return this.on(event, listener, _.assign({}, options, { times: 1 }));
+};
+
+/**
+ * Waits for the next invocation of an event
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @param {Function=} predicate receives the hook arguments and returns whether the invocation matches
+ * @return {Promise<Array>} the arguments of the first matching invocation
+ */
+Hooks.prototype.waitFor = function waitFor(event, predicate) {
+    var self = this;
+
+    return new P(function (resolve) {
+        var registration = self.on(event, function () {
+            var args = _.toArray(arguments);
+            if (predicate && !predicate.apply(this, args)) return;
+
+            registration.remove();
+            resolve(args);
+        });
+    });
+};
+
+/**
+ * Registers a listener with every event matching a pattern. Pattern listeners run after the event's own listeners
+ * and receive the resolved event name followed by the event arguments. Their results are discarded.
+ * @param {String|RegExp} pattern a shorthand wildcard pattern (e.g. "*" or "*.afterExecute") or a regular expression
+ * matched against fully qualified event names
  * @param {Function} listener the listener function
+ * @param {{priority: number=, mode: string=, timeout: number=}=} options listener options
  * @return {{ remove: Function }} a registration object
  */
-Hooks.prototype.on = function on(event, listener) {
-    return this.getHook(this.resolveEvent(event)).add(listener);
+Hooks.prototype.onPattern = function onPattern(pattern, listener, options) {
+    var patterns = this.patterns = this.patterns || [];
+    var subscription = {
+        regex: internals.compilePattern(_.isRegExp(pattern) ? pattern : this.qualifyEvent(pattern)),
+        hook: createHook({ pattern: true })
+    };
+
+    var registration = subscription.hook.add(listener, options);
+    patterns.push(subscription);
+    this.track();
+
+    return {
+        remove: function () {
+            registration.remove();
+            _.pull(patterns, subscription);
+        }
+    };
+};
+
+/**
+ * Returns the pattern hooks matching an event
+ * @param {String} event resolved event name (e.g. "datasource.beforeScan")
+ * @return {Function[]}
+ */
+Hooks.prototype.matchPatterns = function (event) {
+    if (!this.patterns) return [];
+
+    return this.patterns
+        .filter(function (subscription) {
+            return subscription.regex.test(event);
+        })
+        .map(function (subscription) {
+            return subscription.hook;
+        });
+};
+
+/**
+ * Runs a hook function bound to an event name
+ * @param {string} event a shorthand event name
+ * @param {...*} args
+ * @return {*}
+ */
+Hooks.prototype.runHook = function runHook(/** event, ...args **/) {
+    return this.runHookWith.apply(this, [new HookContext()].concat([].slice.call(arguments)));
+};
+
+/**
+ * Runs a hook function bound to an event name, invoking its listeners with the given context
+ * @param {HookContext} context the listener context
+ * @param {string} event a shorthand event name
+ * @param {...*} args
+ * @return {*}
+ */
+Hooks.prototype.runHookWith = function runHookWith(context, event, args) {
+    args = this.args.concat([].slice.call(arguments, 2));
+    event = this.resolveEvent(event);
+
+    var options = this.getHook(event).options;
+    try {
+        internals.validateArgs(options, args);
+    } catch (err) {
+        // asynchronous events report invalid arguments through their promise
+        if (options.sync) throw err;
+        return P.reject(err);
+    }
+
+    // the nearest registry in startup mode queues the call
+    var starting = options.bufferUntilReady && _.find(this.ancestry(), 'startupQueue');
+    if (starting) return starting.defer(this, context, event, args);
+    return this.dispatch(context, event, args);
+};
+
+/**
+ * Enters startup mode. Until ready() is called, runHook() calls for events marked bufferUntilReady that are fired
+ * from this registry or its descendants are queued rather than run against a partially registered set of listeners.
+ * @param {{size: number=, overflow: string=}=} options the maximum number of queued calls (1000 by default) and the
+ * overflow policy: "drop-newest" (the default) or "drop-oldest". Dropped calls are rejected.
+ * @return {Hooks}
+ */
+Hooks.prototype.startup = function startup(options) {
+    options = options || {};
+    internals.assertStartupOverflow(options.overflow);
+    if (options.size !== undefined && !(options.size > 0 && options.size % 1 === 0)) {
+        throw new Error('Queue size must be a positive integer');
+    }
+
+    this.startupQueue = { size: options.size || 1000, overflow: options.overflow || 'drop-newest', calls: [] };
+    return this;
+};
+
+/**
+ * Queues a call made during startup
+ * @param {Hooks} registry the emitting registry
+ * @param {HookContext} context the listener context
+ * @param {string} event resolved event name
+ * @param {Array} args the complete hook arguments
+ * @return {Promise} settles once the call has been replayed
+ */
+Hooks.prototype.defer = function (registry, context, event, args) {
+    var queue = this.startupQueue;
+
+    return new P(function (resolve, reject) {
+        var call = { registry: registry, context: context, event: event, args: args, resolve: resolve, reject: reject };
+
+        if (queue.calls.length >= queue.size) {
+            var dropped = queue.overflow === 'drop-oldest' ? queue.calls.shift() : call;
+            dropped.reject(new Error(util.format('Startup queue is full, dropped %s', dropped.event)));
+            if (dropped === call) return;
+        }
+
+        queue.calls.push(call);
+    });
+};
+
+/**
+ * Leaves startup mode, replaying the queued calls one at a time in the order they were made. Calls made while the
+ * queue drains are queued behind it.
+ * @return {Promise} resolves once the queue has drained
+ */
+Hooks.prototype.ready = function ready() {
+    var self = this;
+    var queue = this.startupQueue;
+    if (!queue) return P.resolve();
+
+    var drain = function () {
+        var call = queue.calls.shift();
+        if (!call) {
+            self.startupQueue = null;
+            return;
+        }
+
+        return P.try(function () {
+            return call.registry.dispatch(call.context, call.event, call.args);
+        }).then(call.resolve, call.reject).then(drain);
+    };
+
+    queue.draining = queue.draining || P.resolve().then(drain);
+    return queue.draining;
+};
+
+/**
+ * Bubbles a resolved event through this registry and each of its ancestors in the event's bubbling order. Ancestors
+ * receive the arguments of the emitting registry, and waterfall events hand their reduced value along the chain.
+ * Unless propagation was stopped, the event is then forwarded to the connected remote registries (see connect()).
+ * @param {HookContext} context the listener context
+ * @param {string} event resolved event name (e.g. "datasource.beforeScan")
+ * @param {Array} args the complete hook arguments
+ * @return {Promise} the result of the last registry to run
+ */
+Hooks.prototype.dispatch = function dispatch(context, event, args) {
+    var self = this;
+    var options = this.getHook(event).options;
+    if (options.sync) return this.dispatchSync(context, event, args);
+    if (options.type === 'around') return this.dispatchAround(context, event, args);
+
+    var chain = this.ancestry();
+
+    if (options.bubble === 'root-first') chain.reverse();
+
+    context.event = event;
+    context.propagationStopped = false;
+
+    var span = internals.startSpan('event', { event: event, registry: this.label() });
+
+    var result = chain.reduce(function (promise, hooks) {
+        return promise.then(function (state) {
+            if (context.propagationStopped) return state;
+
+            return hooks.runLocal(context, event, state.args).then(function (value) {
+                var nextArgs = options.type === 'waterfall' ? _.initial(state.args).concat([value]) : state.args;
+                return { value: value, args: nextArgs };
+            });
+        });
+    }, P.resolve({ args: args })).then(function (state) {
+        if (context.remote || context.propagationStopped) return state.value;
+        return self.forward(event, state.args, state.value);
+    });
+
+    return this.settle(result, span, event, args);
+};
+
+/**
+ * Runs an event on each remote registry connected to this registry or its ancestors that forwards it, one at a time.
+ * Event hooks append the remote results to the local ones, while waterfall hooks hand their reduced value on to the
+ * remote side and resolve to the value it hands back. Remote failures are subject to the event's error policy.
+ * @param {string} event resolved event name (e.g. "datasource.beforeScan")
+ * @param {Array} args the complete hook arguments, as reduced by the local listeners
+ * @param {*} value the local result
+ * @return {Promise} the aggregated result
+ */
+Hooks.prototype.forward = function (event, args, value) {
+    var options = this.getHook(event).options;
+    var links = _.flatten(_.compact(_.pluck(this.ancestry(), 'links'))).filter(function (link) {
+        return _.any(link.regexes, function (regex) {
+            return regex.test(event);
+        });
+    });
+    if (!links.length) return value;
+
+    var errors = [];
+
+    return P.reduce(links, function (result, link) {
+        var remoteArgs = options.type === 'waterfall' ? _.initial(args).concat([result]) : args;
+
+        return link.transport.call(event, remoteArgs).then(function (remote) {
+            return options.type === 'waterfall' ? remote : [].concat(result || [], remote || []);
+        }, function (err) {
+            internals.recover(options, err, errors);
+            return result;
+        });
+    }, value).then(function (result) {
+        if (errors.length) throw new HookError(event, errors);
+        return result;
+    });
+};
+
+/**
+ * Composes the around listeners of each registry in the event's bubbling chain, the first registry to run being the
+ * outermost layer. The last hook argument is the innermost function. Listeners receive the hook context, which carries
+ * the explicit arguments as ctx.args and the curried arguments as ctx.curried. Pattern listeners are not invoked for
+ * around events.
+ * @param {HookContext} context the listener context
+ * @param {string} event resolved event name (e.g. "query.aroundExecute")
+ * @param {Array} args the complete hook arguments, ending with the innermost function
+ * @return {Promise} the composed result, rejected when the innermost function is missing
+ */
+Hooks.prototype.dispatchAround = function dispatchAround(context, event, args) {
+    var core = _.last(args);
+    if (!_.isFunction(core)) return P.reject(new Error(event + ' must be run with an innermost function'));
+
+    var chain = this.ancestry();
+    if (this.getHook(event).options.bubble === 'root-first') chain.reverse();
+
+    context.event = event;
+    context.curried = args.slice(0, this.args.length);
+    context.args = args.slice(this.args.length, -1);
+
+    var span = internals.startSpan('event', { event: event, registry: this.label() });
+
+    var composed = chain.reduceRight(function (inner, hooks) {
+        return function (ctx) {
+            return hooks.getHook(event).call(ctx, ctx, inner);
+        };
+    }, core);
+
+    return this.settle(P.try(function () {
+        return composed(context);
+    }), span, event, _.initial(args));
+};
+
+/**
+ * Ends an event's span and hands its outcome to observers once it settles
+ * @param {Promise} result the event's result
+ * @param {Object|null} span the event span
+ * @param {string} event resolved event name
+ * @param {Array} args the complete hook arguments
+ * @return {Promise} the result, settling once waiting observers have taken it
+ */
+Hooks.prototype.settle = function (result, span, event, args) {
+    var self = this;
+
+    return result.then(function (value) {
+        internals.endSpan(span);
+        return P.resolve(self.notifyObservers(event, args, value, undefined, true)).return(value);
+    }, function (err) {
+        internals.endSpan(span, err);
+        return P.resolve(self.notifyObservers(event, args, undefined, err, true)).throw(err);
+    });
+};
+
+/**
+ * Synchronous counterpart of dispatch() for synchronous events
+ * @param {HookContext} context the listener context
+ * @param {string} event resolved event name (e.g. "pipeline.transformRow")
+ * @param {Array} args the complete hook arguments
+ * @return {*} the result of the last registry to run
+ */
+Hooks.prototype.dispatchSync = function dispatchSync(context, event, args) {
+    var options = this.getHook(event).options;
+    var chain = this.ancestry();
+    var original = args;
+    var value;
+
+    if (options.bubble === 'root-first') chain.reverse();
+
+    context.event = event;
+    context.propagationStopped = false;
+
+    var span = internals.startSpan('event', { event: event, registry: this.label() });
+
+    try {
+        for (var i = 0; i < chain.length && !context.propagationStopped; i++) {
+            value = chain[i].runLocalSync(context, event, args);
+            if (options.type === 'waterfall') args = _.initial(args).concat([value]);
+        }
+    } catch (err) {
+        internals.endSpan(span, err);
+        this.notifyObservers(event, original, undefined, err);
+        throw err;
+    }
+
+    internals.endSpan(span);
+    this.notifyObservers(event, original, value);
+    return value;
+};
+
+/**
+ * Runs the listeners registered with this registry alone, followed by its matching pattern listeners
+ * @param {HookContext} context the listener context
+ * @param {string} event resolved event name (e.g. "datasource.beforeScan")
+ * @param {Array} args the complete hook arguments
+ * @return {Promise}
+ */
+Hooks.prototype.runLocal = function runLocal(context, event, args) {
+    var self = this;
+    var hook = this.getHook(event);
+
+    return hook.apply(context, args).tap(function (value) {
+        // waterfall hooks hand their reduced value on to pattern listeners
+        var observed = hook.options.type === 'waterfall' ? _.initial(args).concat([value]) : args;
+
+        return P.all(self.matchPatterns(event).map(function (patternHook) {
+            return patternHook.apply(context, [event].concat(observed));
+        }));
+    });
+};
+
+/**
+ * Synchronous counterpart of runLocal(). Pattern listeners matching a synchronous event are invoked synchronously
+ * as well. Since their results are discarded, they may return promises, which are not waited for.
+ * @param {HookContext} context the listener context
+ * @param {string} event resolved event name (e.g. "pipeline.transformRow")
+ * @param {Array} args the complete hook arguments
+ * @return {*}
+ */
+Hooks.prototype.runLocalSync = function runLocalSync(context, event, args) {
+    var hook = this.getHook(event);
+    var value = hook.runSync.apply(context, args);
+    var observed = hook.options.type === 'waterfall' ? _.initial(args).concat([value]) : args;
+
+    this.matchPatterns(event).forEach(function (patternHook) {
+        patternHook.runSync.apply(context, [event].concat(observed));
+    });
+
+    return value;
+};
+
+/**
+ * Observes the invocations of an event, or of every event matching a pattern, fired from this registry or its
+ * descendants. Each invocation yields an { event, args, curried, result, error, timestamp } record once the event
+ * settles, where curried is the number of leading arguments curried in by the emitting registry.
+ * @example
+ * <pre>
+ *     var observer = hooks.observe('query.afterExecute');
+ *     observer.stream().pipe(auditLog);
+ *     ...
+ *     observer.close();
+ * </pre>
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @param {{bufferSize: number=, overflow: string=}=} options the maximum number of buffered records (1000 by default)
+ * and the overflow policy: "drop-oldest" (the default), "drop-newest" or "wait", which holds runHook() until the
+ * consumer makes room. Synchronous events never wait and drop their record instead.
+ * @return {Observer} an async iterable that can also be consumed as a stream
+ */
+Hooks.prototype.observe = function observe(event, options) {
+    var observer = new Observer(options);
+    observer.onClose = this.addObserver(event, observer);
+    return observer;
+};
+
+/**
+ * Records the invocations fired from this registry or its descendants into a JSON-serializable log
+ * @param {{event: (String|RegExp)=, serializers: Object=}=} options the event or pattern to record (every event by
+ * default) and serializers for arguments and results JSON cannot represent
+ * @return {Recorder}
+ */
+Hooks.prototype.record = function record(options) {
+    var recorder = new Recorder(options);
+    recorder.onClose = this.addObserver((options && options.event) || '**', recorder);
+    return recorder;
+};
+
+/**
+ * Connects this registry to a registry in another thread or process over a message channel. Events matching the
+ * forward option are run on the remote side once the local listeners have run, and calls coming from the remote side
+ * run the listeners of this registry and its ancestors without being forwarded again. Synchronous and around events
+ * are never forwarded.
+ * @example
+ * <pre>
+ *     var worker = new Worker('./indexer.js');
+ *     hooks.connect(worker, { forward: ['document.afterSave', 'index.*'], timeout: 5000 });
+ * </pre>
+ * @param {Object} channel a MessagePort, a Worker, worker_threads' parentPort, a ChildProcess or the process object
+ * of a forked child
+ * @param {{forward: (String|RegExp|Array)=, timeout: number=, serializers: Object=, errorTypes: Object=}=} options the
+ * events or patterns to forward (none by default), the time in milliseconds to wait for each remote call, serializers
+ * for arguments and results JSON cannot represent and additional error constructors keyed by name
+ * @return {Transport} closing the transport disconnects the registry
+ */
+Hooks.prototype.connect = function connect(channel, options) {
+    var self = this;
+    options = options || {};
+
+    var forward = _.compact([].concat(options.forward));
+    forward.forEach(function (event) {
+        if (internals.isPattern(event)) return;
+
+        var descriptor = self.getHook(self.resolveEvent(event)).options;
+        if (descriptor.sync || descriptor.type === 'around') throw new Error(descriptor.id + ' cannot be forwarded');
+    });
+
+    var link = {
+        regexes: forward.map(this.compileEvent, this),
+        transport: new Transport(channel, _.assign({}, options, {
+            errorTypes: _.assign({
+                HookError: HookError,
+                HookTimeoutError: HookTimeoutError,
+                HookArgumentError: HookArgumentError
+            }, options.errorTypes)
+        }))
+    };
+
+    this.links = this.links || [];
+    this.links.push(link);
+
+    link.transport.onClose = function () {
+        _.pull(self.links, link);
+    };
+
+    return link.transport.serve(function (event, args) {
+        event = self.catalog.canonical(event);
+
+        var descriptor = self.getHook(event).options;
+        if (descriptor.sync || descriptor.type === 'around') throw new Error(event + ' cannot be run remotely');
+        internals.validateArgs(descriptor, args);
+
+        var context = new HookContext();
+        context.remote = true;
+        return self.dispatch(context, event, args);
+    });
+};
+
+/**
+ * Subscribes an observer to the invocations of an event, or of every event matching a pattern, fired from this
+ * registry or its descendants
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @param {{push: Function}} observer receives each settled invocation through push(record, wait)
+ * @return {Function} unsubscribes the observer
+ */
+Hooks.prototype.addObserver = function (event, observer) {
+    var observers = this.observers = this.observers || [];
+    var observation = { regex: this.compileEvent(event), observer: observer };
+
+    observers.push(observation);
+
+    return function () {
+        _.pull(observers, observation);
+    };
+};
+
+/**
+ * Hands a settled event to the matching observers of this registry and its ancestors
+ * @param {string} event resolved event name (e.g. "datasource.beforeScan")
+ * @param {Array} args the complete hook arguments
+ * @param {*} result the event's result
+ * @param {Error=} error the event's failure
+ * @param {boolean=} wait whether observers may hold the caller until they have room for the record
+ * @return {Promise|undefined} a promise settling once every waiting observer has buffered the record
+ */
+Hooks.prototype.notifyObservers = function (event, args, result, error, wait) {
+    var observers = _.flatten(_.compact(_.pluck(this.ancestry(), 'observers'))).filter(function (observation) {
+        return observation.regex.test(event);
+    });
+    if (!observers.length) return;
+
+    var record = {
+        event: event,
+        args: args,
+        curried: this.args.length,
+        result: result,
+        error: error,
+        timestamp: Date.now()
+    };
+
+    var pending = _.compact(observers.map(function (observation) {
+        return observation.observer.push(record, wait);
+    }));
+
+    return pending.length ? P.all(pending) : undefined;
+};
+
+/**
+ * Returns this registry followed by its ancestors, ending with the root registry
+ * @return {Hooks[]}
+ */
+Hooks.prototype.ancestry = function () {
+    var chain = [];
+    for (var hooks = this; hooks; hooks = hooks.parent) {
+        chain.push(hooks);
+    }
+    return chain;
+};
+
+/**
+ * Creates a child registry whose events bubble up through this registry
+ * @param {string=} prefix a prefix for resolving the child's shorthand event names
+ * @return {Hooks}
+ */
+Hooks.prototype.createChild = function (prefix) {
+    return new Hooks(this, prefix);
+};
+
+/**
+ * Partially applies one or more arguments to all hook invocations
+ * @return {Hooks}
+ */
+Hooks.prototype.curry = function(/** arguments **/) {
+    this.args = this.args.concat([].slice.call(arguments));
+    return this;
+};
+
+/**
+ * Removes all registered listeners
+ * @return {Hooks}
+ */
+Hooks.prototype.removeAllListeners = function() {
+    _.values(this.hooks).forEach(function (hook) {
+        hook.removeAll();
+    });
+    this.patterns = null;
+    if (!this.children || !this.children.size) this.untrack();
+    return this;
+};
+
+/**
+ * Removes the listeners owned by a plugin from this registry
+ * @param {string} plugin the plugin name
+ * @return {Hooks}
+ */
+Hooks.prototype.removePlugin = function (plugin) {
+    _.values(this.hooks).forEach(function (hook) {
+        hook.removePlugin(plugin);
+    });
+    this.patterns = _.filter(this.patterns, function (subscription) {
+        subscription.hook.removePlugin(plugin);
+        return subscription.hook.listenerCount() > 0;
+    });
+    return this;
+};
+
+/**
+ * Removes event types from the catalog along with the listeners registered with them on this registry and its live
+ * descendants (see descendants())
+ * @param {...string | string[]} events fully qualified event names
+ * @return {Hooks}
+ */
+Hooks.prototype.removeEvents = function (events) {
+    events = _.isArray(events) ? events : [].slice.call(arguments);
+
+    [this].concat(this.descendants()).forEach(function (hooks) {
+        events.forEach(function (event) {
+            delete hooks.hooks[event];
+        });
+    });
+
+    this.catalog.remove(events);
+    return this;
+};
+
+/**
+ * Creates a scope that tracks the listeners and event types registered by a plugin so that they can be disposed of
+ * together
+ * @param {string} plugin the plugin name
+ * @return {Scope}
+ */
+Hooks.prototype.scope = function (plugin) {
+    return new Scope(plugin, this);
+};
+
+/**
+ * Tracks the listeners and event types registered by a plugin. Listeners are tagged with the plugin name, so
+ * disposing of the scope removes them from the scope's registry and all of its live descendants, or from the scope's
+ * registry alone on runtimes without weak references (Node < 14.6).
+ * @example
+ * <pre>
+ *     var scope = hooks.scope('my-plugin');
+ *     scope.addEvents('myPlugin.beforeSync');
+ *     scope.on('query.beforeExecute', function (query) { ... });
+ *     scope.listen(query, 'afterExecute', function (query, params, result) { ... });
+ *     ...
+ *     scope.dispose();
+ * </pre>
+ * @param {string} plugin the plugin name
+ * @param {Hooks} registry the registry that listeners are registered with
+ * @param {Function=} on registers listeners with the registry in its place, such as a hook system's on(), which the
+ * hapi plugin corks until the server starts
+ * @constructor
+ */
+function Scope(plugin, registry, on) {
+    if (!plugin) throw new Error('Scope must have a plugin name');
+    this.plugin = plugin;
+    this.registry = registry;
+    this.register = on || registry.on.bind(registry);
+    this.events = [];
+}
+
+/**
+ * Registers a listener owned by the scope's plugin with the scope's registry
+ * @param {String|RegExp} event an event name or pattern
+ * @param {Function} listener the listener function
+ * @param {Object=} options listener options
+ * @return {{ remove: Function }|undefined} a registration object, or nothing while registrations are corked
+ */
+Scope.prototype.on = function (event, listener, options) {
+    return this.register(event, listener, _.assign({}, options, { plugin: this.plugin }));
+};
+
+/**
+ * Registers a listener owned by the scope's plugin with another emitter, such as a HasHooks object
+ * @param {Hooks|HasHooks} emitter a descendant of the scope's registry
+ * @param {String|RegExp} event a shorthand event name or pattern
+ * @param {Function} listener the listener function
+ * @param {Object=} options listener options
+ * @return {{ remove: Function }} a registration object
+ */
+Scope.prototype.listen = function (emitter, event, listener, options) {
+    return emitter.on(event, listener, _.assign({}, options, { plugin: this.plugin }));
+};
+
+/**
+ * Registers event descriptors owned by the scope's plugin
+ * @param {...(string|Object) | (string|Object)[]} events event names or descriptors
+ */
+Scope.prototype.addEvents = function (events) {
+    var plugin = this.plugin;
+
+    events = (_.isArray(events) ? events : [].slice.call(arguments)).map(function (event) {
+        return _.defaults(_.isString(event) ? { id: event } : _.clone(event), { plugin: plugin });
+    });
+
+    this.registry.catalog.add(events);
+    this.events = _.union(this.events, _.pluck(events, 'id'));
 };
 
 /**
- * Runs a hook function bound to an event name
- * @param {string} event a shorthand event name
- * @param {...*} args
- * @return {*}
+ * Removes the plugin's listeners along with the event types it declared
  */
-Hooks.prototype.runHook = function runHook(event, args) {
-    var self = this;
+Scope.prototype.dispose = function () {
+    var plugin = this.plugin;
 
-    args = this.args.concat([].slice.call(arguments, 1));
-    event = this.resolveEvent(event);
+    [this.registry].concat(this.registry.descendants()).forEach(function (hooks) {
+        hooks.removePlugin(plugin);
+    });
 
-    var result = this.getHook(event).apply(null, args);
+    this.registry.removeEvents(this.events);
+    this.events = [];
+};
 
-    // check for parent (ie root) hooks and chain its handlers
-    if (this.parent) {
-        return result.then(function () {
-            return self.parent.runHook.apply(self.parent, [event].concat(args));
-        });
-    } else {
-        return result;
-    }
+/**
+ * Returns an emitter's descriptor for an event
+ * @param {{describe: Function=}} emitter a Hooks or HasHooks instance
+ * @param {string} event a shorthand event name
+ * @return {Object|undefined}
+ */
+internals.describe = function (emitter, event) {
+    return _.isFunction(emitter.describe) ? emitter.describe(event) : undefined;
 };
 
 /**
- * Partially applies one or more arguments to all hook invocations
- * @return {Hooks}
+ * Checks whether an emitter declares an event as a waterfall hook
+ * @param {{describe: Function=}} emitter a Hooks or HasHooks instance
+ * @param {string} event a shorthand event name
+ * @return {boolean}
  */
-Hooks.prototype.curry = function(/** arguments **/) {
-    this.args = this.args.concat([].slice.call(arguments));
-    return this;
+internals.isWaterfall = function (emitter, event) {
+    var descriptor = internals.describe(emitter, event);
+    return !!descriptor && descriptor.type === 'waterfall';
 };
 
 /**
- * Removes all registered listeners
- * @return {Hooks}
+ * Runs a hook on an emitter with a shared context. Emitters that cannot accept a context fall back to runHook().
+ * @param {{runHook: Function, runHookWith: Function=}} emitter a Hooks or HasHooks instance
+ * @param {HookContext} context
+ * @param {string} event a shorthand event name
+ * @param {Array} args
+ * @return {Promise}
  */
-Hooks.prototype.removeAllListeners = function() {
-    _.values(this.hooks).forEach(function (hook) {
-        hook.removeAll();
-    });
-    return this;
+internals.runHookWith = function (emitter, context, event, args) {
+    return _.isFunction(emitter.runHookWith) ?
+        emitter.runHookWith.apply(emitter, [context, event].concat(args)) :
+        emitter.runHook.apply(emitter, [event].concat(args));
 };
 
 /**
- * Composes a hook("beforeXYZ"), xyz(), hook("afterXYZ") sandwich
+ * Composes a hook("beforeXYZ"), xyz(), hook("afterXYZ") sandwich. When "beforeXYZ" is a waterfall event its
+ * listeners receive the argument array and may return a replacement. When "afterXYZ" is a waterfall event its
+ * listeners may return a replacement result. A before listener may call this.preventDefault(result) to skip the
+ * method altogether. When "aroundXYZ" is registered its listeners are composed Koa-style around the method itself,
+ * between the before and after hooks: see dispatchAround(). Each receives the hook context, with the method arguments
+ * as ctx.args and the object as ctx.target, and a next() function. Failures of the before hook, the method or a
+ * waterfall after hook fire "errorXYZ" (when registered) with the arguments and the error before rejecting the call.
  * @param {Function} method the method to wrap
  * @param {String=} name the event name. The function's name will be used by default
  * @return {Function}
  */
-exports.hookify = function hookify(method, name) {
+var hookify = function hookify(method, name) {
     // e.g. function foo()
     name = name || method.name;
+    if (!name) throw new Error('Anonymous methods must be hookified with an event name');
     var before = internals.prefix('before', name);
     var after = internals.prefix('after', name);
+    var around = internals.prefix('around', name);
+    var error = internals.prefix('error', name);
 
     return function() {
         var self = this;
         var args = [].slice.call(arguments);
+        var context = new HookContext();
+        var beforeHook = internals.isWaterfall(this, before) ?
+            internals.runHookWith(this, context, before, [args]) :
+            internals.runHookWith(this, context, before, args).return(args);
+
         //noinspection JSPotentiallyInvalidUsageOfThis
-        return this.runHook.apply(this, [before].concat(args))
-            .then(function () {
-                return method.apply(self, args);
+        return beforeHook
+            .then(function (finalArgs) {
+                if (!_.isArray(finalArgs)) throw new Error(before + ' listeners must resolve to an array of arguments');
+                args = finalArgs;
+                if (context.defaultPrevented) return context.result;
+                if (!internals.describe(self, around)) {
+                    return internals.runInContext(context.store, function () {
+                        return method.apply(self, args);
+                    });
+                }
+
+                context.target = self;
+                return internals.runHookWith(self, context, around, args.concat([function (ctx) {
+                    args = ctx.args;
+                    return method.apply(self, args);
+                }]));
             })
-            .tap(function (result) {
+            .then(function (result) {
+                var afterHook = internals.runHookWith(self, context, after, args.concat([result]));
+                if (internals.isWaterfall(self, after)) return afterHook;
+
                 // errors at this point wont affect the result
-                return self.runHook.apply(self, [after].concat(args).concat(result));
+                return afterHook
+                    .catch(function (err) {
+                        internals.logger.error(util.format('Listener for %s failed', after), err);
+                    })
+                    .return(result);
+            })
+            .catch(function (err) {
+                if (!internals.describe(self, error)) throw err;
+
+                context.error = err;
+                return internals.runHookWith(self, context, error, args.concat([err]))
+                    .catch(function (hookErr) {
+                        internals.logger.error(util.format('Listener for %s failed', error), hookErr);
+                    })
+                    .then(function () {
+                        throw err;
+                    });
             });
     };
 };
 
 /**
- * Root hook registrations
- * @type {Hooks}
+ * Runs a synchronous hook on an emitter with a shared context
+ * @param {{runHook: Function, runHookWith: Function=}} emitter a Hooks or HasHooks instance
+ * @param {HookContext} context
+ * @param {string} event a shorthand event name
+ * @param {Array} args
+ * @return {*}
+ */
+internals.runHookSync = function (emitter, context, event, args) {
+    var descriptor = internals.describe(emitter, event);
+    if (descriptor && !descriptor.sync) throw new Error(event + ' must be declared as a synchronous event');
+    return internals.runHookWith(emitter, context, event, args);
+};
+
+/**
+ * Composes the hookify() sandwich around a synchronous method. Its before, after and error events must be declared
+ * as synchronous events. The wrapped method returns its result, or throws its failure, directly.
+ * @example
+ * <pre>
+ *     hooks.addEvents({ id: 'row.beforeTransform', sync: true }, { id: 'row.afterTransform', sync: true });
+ *
+ *     Row.prototype.transform = hooks.hookifySync(function transform(...) {});
+ * </pre>
+ * @param {Function} method the method to wrap
+ * @param {String=} name the event name. The function's name will be used by default
+ * @return {Function}
  */
-var globals = new Hooks();
+var hookifySync = function hookifySync(method, name) {
+    name = name || method.name;
+    if (!name) throw new Error('Anonymous methods must be hookified with an event name');
+    var before = internals.prefix('before', name);
+    var after = internals.prefix('after', name);
+    var error = internals.prefix('error', name);
+
+    return function() {
+        var self = this;
+        var args = [].slice.call(arguments);
+        var context = new HookContext();
+
+        try {
+            if (internals.isWaterfall(self, before)) {
+                var finalArgs = internals.runHookSync(self, context, before, [args]);
+                if (!_.isArray(finalArgs)) throw new Error(before + ' listeners must return an array of arguments');
+                args = finalArgs;
+            } else {
+                internals.runHookSync(self, context, before, args);
+            }
+
+            var result = context.defaultPrevented ? context.result : method.apply(self, args);
+            if (internals.isWaterfall(self, after)) return internals.runHookSync(self, context, after, args.concat([result]));
+
+            // errors at this point wont affect the result
+            try {
+                internals.runHookSync(self, context, after, args.concat([result]));
+            } catch (err) {
+                internals.logger.error(util.format('Listener for %s failed', after), err);
+            }
+            return result;
+        } catch (err) {
+            if (!internals.describe(self, error)) throw err;
+
+            context.error = err;
+            try {
+                internals.runHookSync(self, context, error, args.concat([err]));
+            } catch (hookErr) {
+                internals.logger.error(util.format('Listener for %s failed', error), hookErr);
+            }
+            throw err;
+        }
+    };
+};
 
 /**
  * A base class for objects that emit hook events.
@@ -220,10 +2107,13 @@ var globals = new Hooks();
  *     });
  * </pre>
  * @param prefix
+ * @param {(Hooks|HasHooks)=} parent the registry (or the object with hooks) the object's events bubble through.
+ * Defaults to the root registry of the default hook system
  * @constructor
  */
-function HasHooks(prefix) {
-    this.hooks = exports.newInstance(prefix).curry(this);
+function HasHooks(prefix, parent) {
+    parent = parent && parent.hooks instanceof Hooks ? parent.hooks : parent || exports.globals;
+    this.hooks = parent.createChild(prefix).curry(this);
 }
 
 /**
@@ -234,6 +2124,14 @@ HasHooks.prototype.runHook = function() {
     return this.hooks.runHook.apply(this.hooks, arguments);
 };
 
+/**
+ * Invokes the hook handlers with a given listener context
+ * @return {Promise<[]>}
+ */
+HasHooks.prototype.runHookWith = function() {
+    return this.hooks.runHookWith.apply(this.hooks, arguments);
+};
+
 /**
  * Registers a new hook handler
  * @return {*}
@@ -243,58 +2141,573 @@ HasHooks.prototype.on = function() {
 };
 
 /**
- * Registers event descriptors. Event descriptors must be registered prior to being emitted or listened for.
- * Event descriptors should have enough documentation to aid hook consumers
- * @param {...string | string[]} events
+ * Registers a hook handler that removes itself after its first invocation
+ * @return {*}
  */
-exports.addEvents = function (events) {
-    events = _.isArray(events) ? events : [].slice.call(arguments);
-    events.forEach(function (event) {
-        hookTypes[event] = true;
+HasHooks.prototype.once = function() {
+    return this.hooks.once.apply(this.hooks, arguments);
+};
+
+/**
+ * Waits for the next matching invocation of an event
+ * @return {Promise<Array>}
+ */
+HasHooks.prototype.waitFor = function() {
+    return this.hooks.waitFor.apply(this.hooks, arguments);
+};
+
+/**
+ * Observes the invocations of an event fired from this object
+ * @return {Observer}
+ */
+HasHooks.prototype.observe = function() {
+    return this.hooks.observe.apply(this.hooks, arguments);
+};
+
+/**
+ * Records the invocations of events fired from this object
+ * @return {Recorder}
+ */
+HasHooks.prototype.record = function() {
+    return this.hooks.record.apply(this.hooks, arguments);
+};
+
+/**
+ * Describes every listener an event reaches when fired from this object
+ * @return {Object[]}
+ */
+HasHooks.prototype.listeners = function() {
+    return this.hooks.listeners.apply(this.hooks, arguments);
+};
+
+/**
+ * Returns the descriptor of an event
+ * @return {Object|undefined}
+ */
+HasHooks.prototype.describe = function() {
+    return this.hooks.describe.apply(this.hooks, arguments);
+};
+
+/**
+ * Creates the withHooks() mixin of a hook system
+ * @param {Function} HasHooksType the HasHooks base class of the hook system
+ * @return {Function}
+ */
+internals.bindWithHooks = function (HasHooksType) {
+    /**
+     * Creates a mixin that adds hooks to a class that already extends another base class. Instances get a hooks
+     * registry along with the HasHooks methods their base class does not define itself.
+     * @example
+     * <pre>
+     *     class Query extends hooks.withHooks('query')(Model) {
+     *         execute() {}
+     *     }
+     *
+     *     hooks.hookifyClass(Query, ['execute']);
+     * </pre>
+     * @param {string=} prefix a prefix for resolving shorthand event names
+     * @param {(Hooks|HasHooks)=} parent the registry the objects' events bubble through
+     * @return {function(Function=): Function} extends a base class, defaulting to Object
+     */
+    return function withHooks(prefix, parent) {
+        return function (Base) {
+            var Hooked = class extends (Base || Object) {
+                constructor() {
+                    super(...arguments);
+                    HasHooksType.call(this, prefix, parent);
+                }
+            };
+
+            // the base class keeps the methods it shares a name with, such as EventEmitter's on() and once()
+            Object.getOwnPropertyNames(HasHooks.prototype).forEach(function (name) {
+                if (!(name in Hooked.prototype)) Hooked.prototype[name] = HasHooks.prototype[name];
+            });
+
+            Hooked.hooksPrefix = prefix;
+            return Hooked;
+        };
+    };
+};
+
+/**
+ * Creates the hookifyClass() helper of a hook system
+ * @param {Object} registry a hook system
+ * @return {Function}
+ */
+internals.bindHookifyClass = function (registry) {
+    /**
+     * Hookifies prototype methods by name and registers any of their before and after events that are not declared
+     * yet. Declare the events beforehand to give them descriptors of their own.
+     * @param {Function} Class a class whose instances have hooks
+     * @param {string[]} methods the method names
+     * @param {{prefix: string=}=} options the prefix of the class's events. Defaults to the prefix given to withHooks()
+     * @return {Function} the class
+     */
+    return function hookifyClass(Class, methods, options) {
+        var prefix = (options || {}).prefix || Class.hooksPrefix;
+
+        methods.forEach(function (name) {
+            var method = Class.prototype[name];
+            if (!_.isFunction(method)) throw new Error('Unknown method: ' + name);
+
+            // class methods stay non-enumerable
+            var descriptor = Object.getOwnPropertyDescriptor(Class.prototype, name) || { writable: true, configurable: true };
+            descriptor.value = hookify(method, name);
+            Object.defineProperty(Class.prototype, name, descriptor);
+
+            [internals.prefix('before', name), internals.prefix('after', name)].forEach(function (event) {
+                var id = prefix ? util.format('%s.%s', prefix, event) : event;
+                if (!registry.getEvent(id)) registry.addEvents(id);
+            });
+        });
+
+        return Class;
+    };
+};
+
+/**
+ * Normalizes an event argument declaration into a { name, type } pair
+ * @param {string|{name: string, type: (string|Function)=, required: boolean=}} arg
+ * @return {{name: string, type: (string|Function)=, required: boolean=}}
+ */
+internals.normalizeArg = function (arg) {
+    return _.isString(arg) ? { name: arg } : _.pick(arg, 'name', 'type', 'description', 'required');
+};
+
+/**
+ * Checks for the type names recognized by argument schemas. Other type names only serve as documentation.
+ * @type {Object.<string, Function>}
+ */
+internals.typeChecks = {
+    any: _.constant(true),
+    string: _.isString,
+    number: _.isNumber,
+    boolean: _.isBoolean,
+    function: _.isFunction,
+    object: _.isObject,
+    array: _.isArray,
+    date: _.isDate,
+    regexp: _.isRegExp,
+    error: _.isError
+};
+
+/**
+ * Checks a value against an argument type, which may be a constructor or a "|" separated list of type names
+ * @param {*} value
+ * @param {string|Function} type
+ * @return {boolean}
+ */
+internals.checkType = function (value, type) {
+    if (_.isFunction(type)) return value instanceof type;
+
+    return type.split('|').some(function (name) {
+        var check = internals.typeChecks[name.trim().toLowerCase()];
+        return !check || check(value);
     });
 };
 
-exports.HasHooks = HasHooks;
+/**
+ * Describes why a value does not satisfy an argument declaration
+ * @param {{type: (string|Function)=, required: boolean=}} arg
+ * @param {*} value
+ * @return {string|undefined} the problem, if any
+ */
+internals.checkArg = function (arg, value) {
+    if (value === undefined || value === null) return arg.required ? 'argument is required' : undefined;
+    if (arg.type && !internals.checkType(value, arg.type)) {
+        return util.format('expected %s, got %s', arg.type.name || arg.type, _.isArray(value) ? 'array' : typeof value);
+    }
+};
+
+/**
+ * Supported argument validation modes. "strict" fails the call with a HookArgumentError, rejecting asynchronous
+ * events and throwing for synchronous ones, and "warn" logs a warning
+ * @type {string[]}
+ */
+internals.validationModes = ['strict', 'warn'];
+
+internals.assertValidation = function (mode) {
+    if (mode && internals.validationModes.indexOf(mode) < 0) throw new Error('Unknown validation mode: ' + mode);
+};
 
-// global delegates
-exports.create = createHook;
-exports.on = globals.on.bind(globals);
-exports.removeAllListeners = globals.removeAllListeners.bind(globals);
-exports.runHook = globals.runHook.bind(globals);
+/**
+ * The validation mode of events that do not declare their own
+ * @type {string=}
+ */
+internals.validation = undefined;
 
 /**
- * Creates a child hooks registry that maintains its own list of listeners but also notifies its parent when hooks
- * are fired
- * global listeners
- * @param prefix
- * @return {Hooks}
+ * Validates hook arguments against an event's argument schema
+ * @param {{id: string, args: Array=, validate: string=}} descriptor
+ * @param {Array} args the complete hook arguments, including curried arguments
+ */
+internals.validateArgs = function (descriptor, args) {
+    var mode = descriptor.validate || internals.validation;
+    if (!mode || !descriptor.args) return;
+
+    descriptor.args.forEach(function (arg, position) {
+        var problem = internals.checkArg(arg, args[position]);
+        if (!problem) return;
+
+        var err = new HookArgumentError(descriptor.id, arg, position, problem);
+        if (mode === 'strict') throw err;
+        internals.logger.warn(err.message);
+    });
+};
+
+/**
+ * Normalizes an event name or descriptor into a full event descriptor
+ * @param {string|Object} event an event name or descriptor
+ * @return {{id: string, description: string=, args: Array, plugin: string=, deprecated: string=, mode: string=,
+ *     type: string=, errorPolicy: string=, timeout: number=, bubble: string=, validate: string=, sync: boolean=,
+ *     bufferUntilReady: boolean=, aliases: string[]}}
+ */
+internals.normalizeEvent = function (event) {
+    var descriptor = _.isString(event) ? { id: event } : _.clone(event);
+    if (!descriptor || !_.isString(descriptor.id)) throw new Error('Event descriptor must have an id');
+    internals.assertMode(descriptor.mode);
+    internals.assertType(descriptor.type);
+    internals.assertErrorPolicy(descriptor.errorPolicy);
+    internals.assertTimeout(descriptor.timeout);
+    internals.assertBubble(descriptor.bubble);
+    internals.assertValidation(descriptor.validate);
+    internals.assertSync(descriptor);
+
+    descriptor.args = (descriptor.args || []).map(internals.normalizeArg);
+    descriptor.aliases = [].concat(descriptor.aliases || []);
+    return descriptor;
+};
+
+/**
+ * Sets the argument validation mode of events that do not declare their own, in every hook system of the process
+ * @param {string=} mode "strict", "warn" or undefined to disable validation
+ */
+internals.setValidation = function (mode) {
+    internals.assertValidation(mode);
+    internals.validation = mode;
+};
+
+/**
+ * Registers an instrumentation reporter with every hook system of the process. Reporters may implement any of onEventStart(span), onEventEnd(span),
+ * onListenerStart(span) and onListenerEnd(span). Spans carry the event name, the listener name (for listener spans),
+ * start and end timestamps in milliseconds, the duration and any error.
+ * @param {Object} reporter
+ * @return {{remove: Function}} a registration object
+ */
+internals.addReporter = function (reporter) {
+    internals.reporters.push(reporter);
+
+    return {
+        remove: function () {
+            _.pull(internals.reporters, reporter);
+        }
+    };
+};
+
+/**
+ * Replaces the logger used by every hook system of the process for warnings and swallowed listener errors
+ * @param {{warn: Function, error: Function}=} logger a console-like logger. Defaults to console
+ */
+internals.setLogger = function (logger) {
+    internals.logger = logger || console;
+};
+
+/**
+ * Returns the context store of the current call, such as the one populated per hapi request by the plugin's context
+ * option. Listeners see the store of the code that ran the hook. Always undefined on runtimes without
+ * AsyncLocalStorage.
+ * @return {*}
+ */
+internals.context = function () {
+    return internals.currentStore();
+};
+
+/**
+ * Runs a function with a context store that listeners of the hooks it runs can access through hooks.context(). On
+ * runtimes without AsyncLocalStorage the function simply runs without a store.
+ * @example
+ * <pre>
+ *     hooks.runWithContext({ user: user, tenant: tenant }, function () {
+ *         return query.execute();
+ *     });
+ * </pre>
+ * @param {*} store the context store
+ * @param {Function} fn
+ * @return {*} the function's result
  */
-exports.newInstance = function(prefix) {
-    return new Hooks(globals, prefix);
+internals.runWithContext = function (store, fn) {
+    return internals.storage ? internals.storage.run(store, fn) : fn();
 };
 
-exports.setClsNamespace = function(namespace) {
+/**
+ * Patches bluebird with a continuation-local-storage namespace
+ * @deprecated listeners receive the caller's context natively: use hooks.context() and the plugin's context option
+ * @param {string} namespace
+ */
+internals.setClsNamespace = function(namespace) {
     if (process.namespaces && process.namespaces[namespace]) {
         require('cls-bluebird')(process.namespaces[namespace]);
     }
 };
 
-exports.register = function(server, opts, next) {
-    // corks all event registrations until all event types have been registered
-    exports.on = eu.cork(exports.on);
-    server.app.ext = exports.on;
-    server.expose('addEvents', exports.addEvents);
-    server.expose('newInstance', exports.newInstance);
-    server.expose('on', exports.on);
+/**
+ * The hapi lifecycle points bridged into hook events, keyed by extension point
+ * @type {Object.<string, string>}
+ */
+internals.lifecycle = {
+    onRequest: 'Fired when a request is received',
+    onPreHandler: 'Fired before the route handler runs',
+    onPostHandler: 'Fired after the route handler runs',
+    response: 'Fired once the response has been sent'
+};
+
+/**
+ * Attaches a registry scoped to each request as request.app.hooks. Its listeners receive the request as their first
+ * argument and are removed once the response has been sent.
+ * @param {Object} registry a hook system
+ * @param {Object} server a hapi server
+ * @param {string=} prefix the prefix of the bridged lifecycle events, if any
+ */
+internals.scopeRequests = function (registry, server, prefix) {
+    var bridge = function (request, point) {
+        return prefix ? P.resolve(request.app.hooks.runHook(util.format('%s.%s', prefix, point))) : P.resolve();
+    };
+
+    var extend = function (point, before) {
+        server.ext(point, function (request, reply) {
+            if (before) before(request);
+            bridge(request, point).then(function () {
+                reply.continue();
+            }, reply);
+        });
+    };
+
+    extend('onRequest', function (request) {
+        request.app.hooks = registry.globals.createChild().curry(request);
+    });
+    extend('onPreHandler');
+    extend('onPostHandler');
+
+    server.on('response', function (request) {
+        var hooks = request.app.hooks;
+        if (!hooks) return;
+
+        bridge(request, 'response')
+            .catch(function (err) {
+                internals.logger.error(util.format('Listener for %s.response failed', prefix), err);
+            })
+            .finally(function () {
+                hooks.dispose();
+                delete request.app.hooks;
+            });
+    });
+};
+
+/**
+ * Creates the hapi plugin that exposes a hook system to a server. Plugin options:
+ * <ul>
+ *     <li>context: populates the context store of each request, either with a function returning the store for a
+ *     request or with true for a { request } store</li>
+ *     <li>requests: attaches a registry scoped to each request as request.app.hooks</li>
+ *     <li>lifecycle: also bridges the onRequest, onPreHandler, onPostHandler and response lifecycle points into
+ *     request-scoped events prefixed with the given string, or with "hapi" when true (e.g. "hapi.onPreHandler")</li>
+ *     <li>events: event descriptors to register</li>
+ *     <li>listeners: { event, listener, options } registrations applied once the server starts</li>
+ *     <li>startup: queues calls for events marked bufferUntilReady until the server starts, either with true or
+ *     with startup() options</li>
+ * </ul>
+ * @example
+ * <pre>
+ *     server.register({
+ *         register: hooks.register,
+ *         options: {
+ *             lifecycle: true,
+ *             events: [{ id: 'audit.access', args: ['request'] }],
+ *             listeners: [{ event: 'hapi.onPreHandler', listener: authorize, options: { priority: 10 } }]
+ *         }
+ *     }, callback);
+ * </pre>
+ * @param {Object} registry a hook system
+ * @return {Function}
+ */
+internals.plugin = function (registry) {
+    var register = function(server, opts, next) {
+        // corks all event registrations until all event types have been registered
+        registry.on = eu.cork(registry.on);
+        server.app.ext = registry.on;
+        server.expose('addEvents', registry.addEvents);
+        server.expose('newInstance', registry.newInstance);
+        server.expose('on', registry.on);
+
+        var prefix = opts.lifecycle === true ? 'hapi' : opts.lifecycle;
+        if (prefix) {
+            registry.addEvents(_.map(internals.lifecycle, function (description, point) {
+                return { id: util.format('%s.%s', prefix, point), description: description, args: ['request'] };
+            }));
+        }
+
+        if (opts.events) registry.addEvents(opts.events);
+        (opts.listeners || []).forEach(function (registration) {
+            registry.on(registration.event, registration.listener, registration.options);
+        });
+
+        // requires in-app patching for cls but really shouldnt be a peer dependency
+        if (opts.namespace) {
+            registry.setClsNamespace(opts.namespace);
+        }
+
+        // runs the rest of each request's lifecycle with its context store
+        if (opts.context) {
+            server.ext('onRequest', function (request, reply) {
+                var store = _.isFunction(opts.context) ? opts.context(request) : { request: request };
+                return internals.runWithContext(store, function () {
+                    return reply.continue();
+                });
+            });
+        }
+
+        if (opts.requests || prefix) internals.scopeRequests(registry, server, prefix);
+        if (opts.startup) registry.startup(opts.startup === true ? {} : opts.startup);
 
-    // requires in-app patching for cls but really shouldnt be a peer dependency
-    if (opts.namespace) {
-        exports.setClsNamespace(opts.namespace);
+        server.on('start', registry.on.uncork);
+
+        // replays queued calls once the corked listeners are in place
+        if (opts.startup) server.on('start', registry.ready);
+        next();
+    };
+
+    register.attributes = { pkg: require('../package.json') };
+    return register;
+};
+
+/**
+ * Creates a HasHooks base class whose objects emit events through a hook system's root registry
+ * @param {Object} registry a hook system
+ * @return {Function}
+ */
+internals.bindHasHooks = function (registry) {
+    function RegistryHasHooks(prefix, parent) {
+        HasHooks.call(this, prefix, parent || registry.globals);
     }
 
-    server.on('start', exports.on.uncork);
-    next();
+    util.inherits(RegistryHasHooks, HasHooks);
+    return RegistryHasHooks;
+};
+
+/**
+ * Populates a hook system: an event catalog, a root registry of global listeners and the API bound to them.
+ * Logging, the default validation mode, instrumentation reporters and the context store are shared by every hook
+ * system.
+ * @param {Object} registry the object to populate
+ * @param {Function} HasHooksType the HasHooks base class of the hook system
+ * @return {Object} the hook system
+ */
+internals.createRegistry = function (registry, HasHooksType) {
+    var globals = new Hooks();
+    var catalog = globals.catalog;
+
+    /**
+     * Root hook registrations
+     * @type {Hooks}
+     */
+    registry.globals = globals;
+
+    /**
+     * Registry of hook types
+     * @type {{}}
+     */
+    registry.hookTypes = catalog.types;
+
+    registry.addEvents = catalog.add.bind(catalog);
+    registry.listEvents = catalog.list.bind(catalog);
+    registry.getEvent = catalog.get.bind(catalog);
+    registry.findEvents = catalog.find.bind(catalog);
+    registry.removeEvents = globals.removeEvents.bind(globals);
+
+    registry.HasHooks = HasHooksType || internals.bindHasHooks(registry);
+    registry.withHooks = internals.bindWithHooks(registry.HasHooks);
+    registry.hookifyClass = internals.bindHookifyClass(registry);
+    registry.HookContext = HookContext;
+    registry.Scope = Scope;
+    registry.Observer = Observer;
+    registry.Recorder = Recorder;
+    registry.replay = Recorder.replay;
+    registry.Transport = Transport;
+    registry.HookError = HookError;
+    registry.HookTimeoutError = HookTimeoutError;
+    registry.HookArgumentError = HookArgumentError;
+    registry.hookify = hookify;
+    registry.hookifySync = hookifySync;
+    registry.MemoryReporter = metrics.MemoryReporter;
+    registry.PrometheusReporter = metrics.PrometheusReporter;
+    registry.setClsNamespace = internals.setClsNamespace;
+    registry.context = internals.context;
+    registry.runWithContext = internals.runWithContext;
+    registry.createRegistry = exports.createRegistry;
+
+    // global delegates
+    registry.create = createHook;
+    registry.on = globals.on.bind(globals);
+    registry.once = globals.once.bind(globals);
+    registry.waitFor = globals.waitFor.bind(globals);
+    registry.listeners = globals.listeners.bind(globals);
+    registry.inspect = globals.inspect.bind(globals);
+    registry.scope = function (plugin) {
+        // goes through registry.on, which register() corks until the server starts
+        return new Scope(plugin, globals, function () {
+            return registry.on.apply(registry, arguments);
+        });
+    };
+    registry.removeAllListeners = globals.removeAllListeners.bind(globals);
+    registry.runHook = globals.runHook.bind(globals);
+    registry.observe = globals.observe.bind(globals);
+    registry.startup = globals.startup.bind(globals);
+    registry.ready = globals.ready.bind(globals);
+    registry.record = globals.record.bind(globals);
+    registry.connect = globals.connect.bind(globals);
+
+    /**
+     * Creates a child hooks registry that maintains its own list of listeners but also notifies its parent when hooks
+     * are fired
+     * global listeners
+     * @param prefix
+     * @return {Hooks}
+     */
+    registry.newInstance = function(prefix) {
+        return globals.createChild(prefix);
+    };
+
+    registry.register = internals.plugin(registry);
+
+    return registry;
+};
+
+/**
+ * Creates an isolated hook system with its own event catalog, global listeners, HasHooks base class and hapi plugin.
+ * The module itself is the default hook system. Isolation stops at listeners and event types: the default validation
+ * mode, the logger and instrumentation reporters are process-wide settings, only exposed by the module, and changing
+ * them affects every hook system in the process. Events that must not depend on them can declare their own validate
+ * mode.
+ * @example
+ * <pre>
+ *     var registry = hooks.createRegistry();
+ *     registry.addEvents('query.beforeExecute');
+ *
+ *     function Query() {
+ *         registry.HasHooks.call(this, 'query');
+ *     }
+ *
+ *     util.inherits(Query, registry.HasHooks);
+ * </pre>
+ * @return {Object} the hook system
+ */
+exports.createRegistry = function createRegistry() {
+    return internals.createRegistry({});
 };
 
+internals.createRegistry(exports, HasHooks);
 
-exports.register.attributes = { pkg: require('../package.json') };
\ No newline at end of file
+// process-wide settings
+exports.setValidation = internals.setValidation;
+exports.addReporter = internals.addReporter;
+exports.setLogger = internals.setLogger;
@@ -0,0 +1,158 @@
+'use strict';
+
+var _ = require('lodash');
+var util = require('util');
+var internals = {};
+
+/**
+ * Creates an empty set of timing statistics
+ * @return {{count: number, failures: number, totalDuration: number, maxDuration: number}}
+ */
+internals.stats = function () {
+    return { count: 0, failures: 0, totalDuration: 0, maxDuration: 0 };
+};
+
+/**
+ * Folds a finished span into timing statistics
+ * @param {Object} stats
+ * @param {Object} span
+ */
+internals.record = function (stats, span) {
+    stats.count++;
+    if (span.error) stats.failures++;
+    stats.totalDuration += span.duration;
+    stats.maxDuration = Math.max(stats.maxDuration, span.duration);
+};
+
+/**
+ * An instrumentation reporter that aggregates the duration and success/failure counts of every event and listener
+ * in memory
+ * @example
+ * <pre>
+ *     var reporter = new hooks.MemoryReporter();
+ *     hooks.addReporter(reporter);
+ *     ...
+ *     reporter.stats().events['query.beforeExecute'].totalDuration;
+ * </pre>
+ * @constructor
+ */
+function MemoryReporter() {
+    this.reset();
+}
+
+/**
+ * Records a finished event
+ * @param {Object} span
+ */
+MemoryReporter.prototype.onEventEnd = function (span) {
+    this.events[span.event] = this.events[span.event] || internals.stats();
+    internals.record(this.events[span.event], span);
+};
+
+/**
+ * Records a finished listener
+ * @param {Object} span
+ */
+MemoryReporter.prototype.onListenerEnd = function (span) {
+    var listeners = this.listeners[span.event || 'hook'] = this.listeners[span.event || 'hook'] || {};
+    listeners[span.listener] = listeners[span.listener] || internals.stats();
+    internals.record(listeners[span.listener], span);
+};
+
+/**
+ * Returns a copy of the statistics gathered so far, keyed by event name (and listener name for listeners)
+ * @return {{events: Object, listeners: Object}}
+ */
+MemoryReporter.prototype.stats = function () {
+    return _.cloneDeep({ events: this.events, listeners: this.listeners });
+};
+
+/**
+ * Discards the statistics gathered so far
+ */
+MemoryReporter.prototype.reset = function () {
+    this.events = {};
+    this.listeners = {};
+};
+
+/**
+ * Escapes a Prometheus label value
+ * @param {string} value
+ * @return {string}
+ */
+internals.escapeLabel = function (value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+};
+
+/**
+ * Formats a Prometheus sample line
+ * @param {string} name the metric name
+ * @param {Object} labels
+ * @param {number} value
+ * @return {string}
+ */
+internals.sample = function (name, labels, value) {
+    var pairs = _.map(labels, function (labelValue, label) {
+        return util.format('%s="%s"', label, internals.escapeLabel(labelValue));
+    });
+    return util.format('%s{%s} %s', name, pairs.join(','), value);
+};
+
+/**
+ * Formats a summary and failure counter for a set of labelled statistics
+ * @param {string} name the metric name prefix
+ * @param {string} subject what is being measured (e.g. "hook events")
+ * @param {{labels: Object, stats: Object}[]} series
+ * @return {string[]}
+ */
+internals.family = function (name, subject, series) {
+    return [
+        util.format('# HELP %s_duration_seconds Time spent running %s', name, subject),
+        util.format('# TYPE %s_duration_seconds summary', name)
+    ].concat(_.flatten(series.map(function (entry) {
+        return [
+            internals.sample(name + '_duration_seconds_sum', entry.labels, entry.stats.totalDuration / 1e3),
+            internals.sample(name + '_duration_seconds_count', entry.labels, entry.stats.count)
+        ];
+    }))).concat([
+        util.format('# HELP %s_failures_total Number of failed %s', name, subject),
+        util.format('# TYPE %s_failures_total counter', name)
+    ]).concat(series.map(function (entry) {
+        return internals.sample(name + '_failures_total', entry.labels, entry.stats.failures);
+    }));
+};
+
+/**
+ * A memory reporter that exports its statistics in the Prometheus text exposition format
+ * @param {string=} namespace a metric name prefix. Defaults to "hooks"
+ * @constructor
+ */
+function PrometheusReporter(namespace) {
+    MemoryReporter.call(this);
+    this.namespace = namespace || 'hooks';
+}
+
+util.inherits(PrometheusReporter, MemoryReporter);
+
+/**
+ * Renders the gathered statistics as Prometheus metrics
+ * @return {string}
+ */
+PrometheusReporter.prototype.metrics = function () {
+    var events = _.map(this.events, function (stats, event) {
+        return { labels: { event: event }, stats: stats };
+    });
+
+    var listeners = _.flatten(_.map(this.listeners, function (byListener, event) {
+        return _.map(byListener, function (stats, listener) {
+            return { labels: { event: event, listener: listener }, stats: stats };
+        });
+    }));
+
+    return internals.family(this.namespace + '_event', 'hook events', events)
+        .concat(internals.family(this.namespace + '_listener', 'hook listeners', listeners))
+        .join('\n') + '\n';
+};
+
+exports.MemoryReporter = MemoryReporter;
+exports.PrometheusReporter = PrometheusReporter;
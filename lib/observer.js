@@ -0,0 +1,156 @@
+'use strict';
+
+var _ = require('lodash');
+var P = require('bluebird');
+var Readable = require('stream').Readable;
+
+/**
+ * Supported overflow policies. "drop-oldest" discards the oldest buffered record to make room, "drop-newest" discards
+ * the incoming record and "wait" holds the emitting runHook() until the consumer makes room
+ * @type {string[]}
+ */
+var overflowPolicies = ['drop-oldest', 'drop-newest', 'wait'];
+
+/**
+ * A bounded buffer of observed hook invocations, consumed as an async iterable or an object mode Readable
+ * @example
+ * <pre>
+ *     var observer = hooks.observe('query.afterExecute', { bufferSize: 100 });
+ *
+ *     for await (var record of observer) {
+ *         audit.write(record.event, record.args, record.result);
+ *     }
+ * </pre>
+ * @param {{bufferSize: number=, overflow: string=}=} options the maximum number of buffered records (1000 by default)
+ * and the overflow policy ("drop-oldest" by default)
+ * @param {Function=} onClose called once the observer is closed
+ * @constructor
+ */
+function Observer(options, onClose) {
+    options = options || {};
+    if (options.overflow && overflowPolicies.indexOf(options.overflow) < 0) {
+        throw new Error('Unknown overflow policy: ' + options.overflow);
+    }
+    if (options.bufferSize !== undefined && !(options.bufferSize > 0 && options.bufferSize % 1 === 0)) {
+        throw new Error('Buffer size must be a positive integer');
+    }
+
+    this.bufferSize = options.bufferSize || 1000;
+    this.overflow = options.overflow || 'drop-oldest';
+    this.onClose = onClose;
+    this.buffer = [];
+    this.consumers = [];
+    this.producers = [];
+    this.dropped = 0;
+    this.closed = false;
+}
+
+/**
+ * Buffers a record, or hands it straight to a waiting consumer
+ * @param {{event: string, args: Array, result: *, error: Error=, timestamp: number}} record
+ * @param {boolean=} wait whether the producer can wait for room under the "wait" policy
+ * @return {Promise|undefined} a promise settling once a waiting producer's record is buffered
+ */
+Observer.prototype.push = function (record, wait) {
+    if (this.closed) return;
+
+    if (this.consumers.length) {
+        this.consumers.shift()({ value: record, done: false });
+    } else if (this.buffer.length < this.bufferSize) {
+        this.buffer.push(record);
+    } else if (this.overflow === 'wait' && wait) {
+        var producers = this.producers;
+        return new P(function (resolve) {
+            producers.push({ record: record, resolve: resolve });
+        });
+    } else {
+        this.dropped++;
+        if (this.overflow === 'drop-oldest') {
+            this.buffer.shift();
+            this.buffer.push(record);
+        }
+    }
+};
+
+/**
+ * Takes the next record, waiting for one if the buffer is empty
+ * @return {Promise<{value: Object, done: boolean}>}
+ */
+Observer.prototype.next = function () {
+    if (this.buffer.length) {
+        var value = this.buffer.shift();
+
+        // a waiting producer takes the freed slot
+        var producer = this.producers.shift();
+        if (producer) {
+            this.buffer.push(producer.record);
+            producer.resolve();
+        }
+
+        return P.resolve({ value: value, done: false });
+    }
+
+    if (this.closed) return P.resolve({ value: undefined, done: true });
+
+    var consumers = this.consumers;
+    return new P(function (resolve) {
+        consumers.push(resolve);
+    });
+};
+
+/**
+ * Stops observing, ending iteration once the buffered records have been consumed. Called when a for await loop exits
+ * early.
+ * @return {Promise<{value: undefined, done: boolean}>}
+ */
+Observer.prototype.return = function () {
+    this.close();
+    return P.resolve({ value: undefined, done: true });
+};
+
+/**
+ * Stops observing. Waiting producers are released and waiting consumers are told that iteration is done.
+ */
+Observer.prototype.close = function () {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.producers.splice(0).forEach(function (producer) {
+        producer.resolve();
+    });
+    this.consumers.splice(0).forEach(function (resolve) {
+        resolve({ value: undefined, done: true });
+    });
+
+    if (_.isFunction(this.onClose)) this.onClose(this);
+};
+
+Observer.prototype[Symbol.asyncIterator] = function () {
+    return this;
+};
+
+/**
+ * Creates an object mode Readable of the observed records. The stream only pulls records as it is read, and destroying
+ * it closes the observer.
+ * @param {{highWaterMark: number=}=} options Readable options
+ * @return {Readable}
+ */
+Observer.prototype.stream = function (options) {
+    var self = this;
+
+    return new Readable(_.assign({}, options, {
+        objectMode: true,
+        read: function () {
+            var readable = this;
+            self.next().then(function (item) {
+                readable.push(item.done ? null : item.value);
+            });
+        },
+        destroy: function (err, callback) {
+            self.close();
+            callback(err);
+        }
+    }));
+};
+
+module.exports = Observer;
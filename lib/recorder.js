@@ -0,0 +1,130 @@
+'use strict';
+
+var _ = require('lodash');
+var P = require('bluebird');
+var util = require('util');
+var serializer = require('./serializer');
+
+/**
+ * Captures hook invocations into a JSON-serializable log. Arguments and results are serialized as they are
+ * captured. Serializers convert values JSON cannot represent, such as the object curried in by HasHooks.
+ * @example
+ * <pre>
+ *     var serializers = {
+ *         query: {
+ *             test: function (value) { return value instanceof Query; },
+ *             serialize: function (query) { return query.params; },
+ *             deserialize: function (params) { return new Query(params); }
+ *         }
+ *     };
+ *
+ *     var recorder = hooks.record({ serializers: serializers });
+ *     ...
+ *     recorder.close();
+ *     fs.writeFileSync('hooks.json', JSON.stringify(recorder));
+ * </pre>
+ * @param {{serializers: Object=}=} options serializers keyed by type name, each with test(value), serialize(value)
+ * and deserialize(json) functions
+ * @param {Function=} onClose called once the recorder is closed
+ * @constructor
+ */
+function Recorder(options, onClose) {
+    this.serializers = serializer.serializers((options || {}).serializers);
+    this.onClose = onClose;
+    this.entries = [];
+    this.closed = false;
+}
+
+/**
+ * Captures an observed invocation. Recording never affects the outcome of the invocation: values that cannot be
+ * serialized, such as circular structures, are recorded as null and the failure is kept under entry.unserializable,
+ * keyed by field.
+ * @param {{event: string, args: Array, curried: number, result: *, error: Error=, timestamp: number}} record
+ */
+Recorder.prototype.push = function (record) {
+    if (this.closed) return;
+
+    var serializers = this.serializers;
+    var entry = { event: record.event, timestamp: record.timestamp };
+    var fields = {
+        curried: record.args.slice(0, record.curried),
+        args: record.args.slice(record.curried),
+        result: record.result
+    };
+
+    if (record.error) fields.error = record.error;
+
+    _.forEach(fields, function (value, field) {
+        try {
+            entry[field] = serializer.serialize(value, serializers);
+        } catch (err) {
+            entry[field] = null;
+            entry.unserializable = entry.unserializable || {};
+            entry.unserializable[field] = err.message;
+        }
+    });
+
+    this.entries.push(entry);
+};
+
+/**
+ * Returns the captured invocations in the order they settled
+ * @return {Object[]}
+ */
+Recorder.prototype.log = function () {
+    return _.cloneDeep(this.entries);
+};
+
+Recorder.prototype.toJSON = Recorder.prototype.log;
+
+/**
+ * Stops recording
+ */
+Recorder.prototype.close = function () {
+    if (this.closed) return;
+    this.closed = true;
+    if (_.isFunction(this.onClose)) this.onClose(this);
+};
+
+/**
+ * Re-drives a recorded log against a registry one invocation at a time, typically a fresh registry holding the
+ * listeners under test. Events are fired by their fully qualified names with the deserialized curried and explicit
+ * arguments. Invocations whose arguments could not be recorded are reported as failures without being fired.
+ * @param {Object[]} log the entries of a recorder
+ * @param {{runHook: Function}} registry a registry without a prefix
+ * @param {{serializers: Object=}=} options the serializers the log was recorded with
+ * @return {Promise<{event: string, result: *, error: Error=, recorded: Object}[]>} the outcome of each invocation
+ */
+Recorder.replay = function (log, registry, options) {
+    var serializers = serializer.serializers((options || {}).serializers);
+
+    return P.reduce(log, function (outcomes, entry) {
+        if (entry.curried === null || entry.args === null) {
+            var unrecorded = new Error(util.format('Cannot replay %s: its arguments could not be recorded', entry.event));
+            return outcomes.concat({ event: entry.event, error: unrecorded, recorded: entry });
+        }
+
+        var args = serializer.deserialize(entry.curried.concat(entry.args), serializers);
+
+        return P.try(function () {
+            return registry.runHook.apply(registry, [entry.event].concat(args));
+        }).then(function (result) {
+            return outcomes.concat({ event: entry.event, result: result, recorded: entry });
+        }, function (err) {
+            return outcomes.concat({ event: entry.event, error: err, recorded: entry });
+        });
+    }, []);
+};
+
+/**
+ * Restores the values of a recorded entry
+ * @param {Object} entry a log entry
+ * @param {{serializers: Object=}=} options the serializers the log was recorded with
+ * @return {{event: string, curried: Array, args: Array, result: *, error: Error=, timestamp: number}}
+ */
+Recorder.deserialize = function (entry, options) {
+    var serializers = serializer.serializers((options || {}).serializers);
+    return _.assign({}, entry, serializer.deserialize(_.pick(entry, 'curried', 'args', 'result', 'error'), serializers));
+};
+
+module.exports = Recorder;
@@ -0,0 +1,101 @@
+'use strict';
+
+var _ = require('lodash');
+var internals = {};
+
+/**
+ * The $type of plain objects whose own $type key had to be escaped
+ * @type {string}
+ */
+internals.escaped = '$object';
+
+/**
+ * Built-in serializers for values JSON cannot represent
+ * @type {Object.<string, {test: Function, serialize: Function, deserialize: Function}>}
+ */
+internals.serializers = {
+    undefined: {
+        test: _.isUndefined,
+        serialize: _.noop,
+        deserialize: _.noop
+    },
+    error: {
+        test: _.isError,
+        serialize: function (err) {
+            return { name: err.name, message: err.message };
+        },
+        deserialize: function (value) {
+            var err = new Error(value.message);
+            err.name = value.name;
+            return err;
+        }
+    }
+};
+
+/**
+ * Converts a value into its JSON-serializable form. Values claimed by a serializer become { $type, value } pairs,
+ * arrays and plain objects are serialized element by element and anything else is reduced to its JSON form. Plain
+ * objects that carry a $type key of their own are escaped so that they are not mistaken for serialized values.
+ * @param {*} value
+ * @param {Object} serializers serializers keyed by type name
+ * @param {Array=} ancestors the arrays and objects value is nested in, used to detect circular structures
+ * @return {*}
+ * @throws {TypeError} if value is a circular structure
+ */
+exports.serialize = internals.serialize = function (value, serializers, ancestors) {
+    var type = _.findKey(serializers, function (serializer) {
+        return serializer.test(value);
+    });
+
+    if (type) return { $type: type, value: serializers[type].serialize(value) };
+
+    if (_.isArray(value) || _.isPlainObject(value)) {
+        ancestors = ancestors || [];
+        if (ancestors.indexOf(value) >= 0) throw new TypeError('Cannot serialize circular structure');
+
+        var nested = ancestors.concat([value]);
+        var serialize = function (item) {
+            return internals.serialize(item, serializers, nested);
+        };
+
+        if (_.isArray(value)) return value.map(serialize);
+
+        var object = _.mapValues(value, serialize);
+        return _.has(value, '$type') ? { $type: internals.escaped, value: object } : object;
+    }
+
+    var json = JSON.stringify(value);
+    return json === undefined ? internals.serialize(undefined, serializers) : JSON.parse(json);
+};
+
+/**
+ * Restores a value serialized by serialize()
+ * @param {*} value
+ * @param {Object} serializers serializers keyed by type name
+ * @return {*}
+ */
+exports.deserialize = internals.deserialize = function (value, serializers) {
+    if (_.isArray(value)) return value.map(_.partial(internals.deserialize, _, serializers));
+    if (!_.isPlainObject(value)) return value;
+
+    if (value.$type === internals.escaped) {
+        return _.mapValues(value.value, _.partial(internals.deserialize, _, serializers));
+    }
+
+    if (_.isString(value.$type)) {
+        var serializer = serializers[value.$type];
+        if (!serializer) throw new Error('No serializer for type: ' + value.$type);
+        return serializer.deserialize(value.value);
+    }
+
+    return _.mapValues(value, _.partial(internals.deserialize, _, serializers));
+};
+
+/**
+ * Merges custom serializers with the built-in ones
+ * @param {Object=} serializers
+ * @return {Object}
+ */
+exports.serializers = function (serializers) {
+    return _.assign({}, internals.serializers, serializers);
+};
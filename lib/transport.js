@@ -0,0 +1,276 @@
+'use strict';
+
+var _ = require('lodash');
+var P = require('bluebird');
+var util = require('util');
+var serializer = require('./serializer');
+var internals = {};
+
+/**
+ * Built-in error types that are reconstructed by name on the receiving side
+ * @type {Object.<string, Function>}
+ */
+internals.errorTypes = {
+    Error: Error,
+    EvalError: EvalError,
+    RangeError: RangeError,
+    ReferenceError: ReferenceError,
+    SyntaxError: SyntaxError,
+    TypeError: TypeError,
+    URIError: URIError
+};
+
+/**
+ * Adapts a channel to a common send/listen interface. MessagePorts, Workers and worker_threads' parentPort exchange
+ * messages through postMessage(), while child processes and the process object of a forked child use send().
+ * @param {Object} channel
+ * @return {{send: Function, listen: Function, unlisten: Function}}
+ */
+internals.adapt = function (channel) {
+    var send = _.isFunction(channel.postMessage) ? channel.postMessage : channel.send;
+    var unlisten = channel.off || channel.removeListener;
+
+    if (!_.isFunction(send) || !_.isFunction(channel.on)) {
+        throw new Error('Channel must be a MessagePort, a Worker or a process with an IPC channel');
+    }
+
+    return {
+        send: send.bind(channel),
+        listen: channel.on.bind(channel),
+        unlisten: unlisten.bind(channel)
+    };
+};
+
+/**
+ * Checks for errors, including instances of error types that inherit from Error without being created by it
+ * @param {*} value
+ * @return {boolean}
+ */
+internals.isError = function (value) {
+    return value instanceof Error || _.isError(value);
+};
+
+/**
+ * Converts an error into a structured-clone-safe form, keeping its name, message, stack and own properties
+ * @param {Error} err
+ * @param {Object} serializers
+ * @return {{name: string, message: string, stack: string, props: Object}}
+ */
+internals.encodeError = function (err, serializers) {
+    return {
+        name: err.name,
+        message: err.message,
+        stack: err.stack,
+        props: serializer.serialize(_.omit(_.assign({}, err), 'name', 'message', 'stack'), serializers)
+    };
+};
+
+/**
+ * Rebuilds an error encoded by encodeError() as an instance of its registered type, or a plain Error for unknown
+ * types. Rebuilt errors are flagged as remote.
+ * @param {{name: string, message: string, stack: string, props: Object}} value
+ * @param {Object} serializers
+ * @param {Object.<string, Function>} errorTypes
+ * @return {Error}
+ */
+internals.decodeError = function (value, serializers, errorTypes) {
+    var err = new Error(value.message);
+    var Type = errorTypes[value.name];
+    if (Type) Object.setPrototypeOf(err, Type.prototype);
+
+    _.assign(err, serializer.deserialize(value.props, serializers));
+    err.name = value.name;
+    err.stack = value.stack;
+    err.remote = true;
+    return err;
+};
+
+/**
+ * Runs hook events across a thread or process boundary. Calls and their results travel over the channel as
+ * { $hooks: "call" | "result" } messages, leaving other messages on the channel alone. Arguments, results and errors
+ * are serialized into JSON data, which is always structured-clone safe, and errors are rebuilt as instances of their
+ * registered types on the receiving side.
+ * @example
+ * <pre>
+ *     // main thread
+ *     var worker = new Worker('./indexer.js');
+ *     hooks.connect(worker, { forward: 'document.*', timeout: 5000 });
+ *
+ *     // indexer.js
+ *     hooks.connect(require('worker_threads').parentPort);
+ *     hooks.on('document.afterSave', indexDocument);
+ * </pre>
+ * @param {Object} channel a MessagePort, a Worker, worker_threads' parentPort, a ChildProcess or the process object
+ * of a forked child
+ * @param {{timeout: number=, serializers: Object=, errorTypes: Object=}=} options the time in milliseconds to wait for
+ * each remote call, serializers for arguments and results JSON cannot represent and error constructors keyed by name
+ * @param {Function=} onClose called once the transport is closed
+ * @constructor
+ */
+function Transport(channel, options, onClose) {
+    options = options || {};
+    if (options.timeout !== undefined && !(_.isNumber(options.timeout) && options.timeout > 0)) {
+        throw new Error('Timeout must be a positive number of milliseconds');
+    }
+
+    var self = this;
+
+    this.channel = internals.adapt(channel);
+    this.timeout = options.timeout;
+    this.errorTypes = _.assign({}, internals.errorTypes, options.errorTypes);
+    this.serializers = serializer.serializers(_.assign({
+        error: {
+            test: internals.isError,
+            serialize: function (err) {
+                return internals.encodeError(err, self.serializers);
+            },
+            deserialize: function (value) {
+                return internals.decodeError(value, self.serializers, self.errorTypes);
+            }
+        }
+    }, options.serializers));
+    this.onClose = onClose;
+    this.handler = null;
+    this.pending = {};
+    this.calls = 0;
+    this.closed = false;
+
+    this.receive = this.receive.bind(this);
+    this.disconnect = function () {
+        self.close();
+    };
+
+    this.channel.listen('message', this.receive);
+    // ports and workers close or exit, while a forked child's process object disconnects from its parent
+    this.channel.listen('close', this.disconnect);
+    this.channel.listen('disconnect', this.disconnect);
+    this.channel.listen('exit', this.disconnect);
+}
+
+/**
+ * Runs an event on the remote side
+ * @param {string} event resolved event name
+ * @param {Array} args the complete hook arguments
+ * @return {Promise} the remote result
+ */
+Transport.prototype.call = function (event, args) {
+    if (this.closed) return P.reject(new Error('Transport is closed'));
+
+    var self = this;
+    var serialized;
+
+    // arguments that cannot be serialized fail the call before it is registered as pending
+    try {
+        serialized = serializer.serialize(args, this.serializers);
+    } catch (err) {
+        return P.reject(err);
+    }
+
+    var id = ++this.calls;
+
+    return new P(function (resolve, reject) {
+        var call = self.pending[id] = { event: event, resolve: resolve, reject: reject };
+
+        if (self.timeout) {
+            call.timer = setTimeout(function () {
+                delete self.pending[id];
+                reject(new Error(util.format('Remote call for %s timed out after %dms', event, self.timeout)));
+            }, self.timeout);
+        }
+
+        try {
+            self.channel.send({ $hooks: 'call', id: id, event: event, args: serialized });
+        } catch (err) {
+            delete self.pending[id];
+            clearTimeout(call.timer);
+            reject(err);
+        }
+    });
+};
+
+/**
+ * Runs incoming calls with a handler
+ * @param {Function} handler invoked with the event name and the deserialized arguments of each call
+ * @return {Transport}
+ */
+Transport.prototype.serve = function (handler) {
+    this.handler = handler;
+    return this;
+};
+
+/**
+ * Dispatches a message received from the channel
+ * @param {Object} message
+ */
+Transport.prototype.receive = function (message) {
+    if (!message || !_.isString(message.$hooks)) return;
+
+    if (message.$hooks === 'call') return this.answer(message);
+    if (message.$hooks !== 'result') return;
+
+    var call = this.pending[message.id];
+    if (!call) return;
+
+    delete this.pending[message.id];
+    clearTimeout(call.timer);
+
+    try {
+        if (message.error) call.reject(serializer.deserialize(message.error, this.serializers));
+        else call.resolve(serializer.deserialize(message.result, this.serializers));
+    } catch (err) {
+        call.reject(err);
+    }
+};
+
+/**
+ * Runs an incoming call and sends its outcome back. Results that cannot be serialized are answered with the
+ * serialization error instead.
+ * @param {{id: number, event: string, args: Array}} message
+ */
+Transport.prototype.answer = function (message) {
+    var self = this;
+    var handler = this.handler;
+
+    P.try(function () {
+        if (!handler) throw new Error('Remote calls are not served on this channel');
+        return handler(message.event, serializer.deserialize(message.args, self.serializers));
+    }).then(function (result) {
+        return { $hooks: 'result', id: message.id, result: serializer.serialize(result, self.serializers) };
+    }).catch(function (err) {
+        var reply = { $hooks: 'result', id: message.id };
+        try {
+            reply.error = serializer.serialize(err, self.serializers);
+        } catch (serializeErr) {
+            // the failure itself cannot be serialized, so the caller learns why instead
+            reply.error = serializer.serialize(serializeErr, self.serializers);
+        }
+        return reply;
+    }).then(function (reply) {
+        if (!self.closed) self.channel.send(reply);
+    }).catch(function () {
+        // the channel is gone, so the caller's timeout or close() rejects the call
+    });
+};
+
+/**
+ * Stops listening to the channel and rejects the calls still waiting for an answer. The channel itself is left open.
+ */
+Transport.prototype.close = function () {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.channel.unlisten('message', this.receive);
+    this.channel.unlisten('close', this.disconnect);
+    this.channel.unlisten('disconnect', this.disconnect);
+    this.channel.unlisten('exit', this.disconnect);
+
+    _.forEach(this.pending, function (call) {
+        clearTimeout(call.timer);
+        call.reject(new Error(util.format('Transport closed before %s settled', call.event)));
+    });
+    this.pending = {};
+
+    if (_.isFunction(this.onClose)) this.onClose(this);
+};
+
+module.exports = Transport;
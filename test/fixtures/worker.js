@@ -0,0 +1,29 @@
+'use strict';
+
+var util = require('util');
+var threads = require('worker_threads');
+var hooks = require('../../lib');
+
+hooks.setValidation('strict');
+hooks.addEvents([
+    'job.afterRun',
+    'job.report',
+    'job.progress',
+    { id: 'job.transform', type: 'waterfall' },
+    { id: 'job.schedule', args: [{ name: 'delay', type: 'number' }] }
+]);
+
+hooks.on('job.afterRun', function (job) {
+    return util.format('indexed %s in thread %d', job.name, threads.threadId);
+});
+
+hooks.on('job.transform', function (value) {
+    return value * 10;
+});
+
+hooks.on('job.report', function (job) {
+    return hooks.runHook('job.progress', job, 50);
+});
+
+hooks.connect(threads.parentPort, { forward: 'job.progress' });
+threads.parentPort.postMessage({ ready: true });
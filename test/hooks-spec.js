@@ -5,6 +5,8 @@ var sinon = require('sinon');
 chai.use(require('sinon-chai'));
 var should = require('chai').should();
 var util = require('util');
+var P = require('bluebird');
+var _ = require('lodash');
 var hooks = require('../lib');
 
 function Query() {
@@ -77,12 +79,12 @@ describe('hooks', function () {
                 });
         });
 
-        it('should pass a callback function if the arity of the callback is greater than call', function () {
+        it('should pass a callback function if the arity of the callback is greater than the declared arguments', function () {
             var listener = function(arg1, arg2, done) {
                 done(null, 'yay');
             };
 
-            var hook = hooks.create();
+            var hook = hooks.create({ args: [{ name: 'arg1' }, { name: 'arg2' }] });
             hook.add(listener, { foo: 'bar' });
             return hook(1, 2)
                 .then(function (results) {
@@ -96,7 +98,7 @@ describe('hooks', function () {
                 done(new Error('Error!'));
             };
 
-            var hook = hooks.create();
+            var hook = hooks.create({ args: [{ name: 'arg1' }, { name: 'arg2' }] });
             hook.add(listener, { foo: 'bar' });
             return hook(1, 2)
                 .then(function () {
@@ -135,6 +137,205 @@ describe('hooks', function () {
         });
     });
 
+    describe('execution modes', function () {
+        // resolves after a delay, recording when the listener started and finished
+        function recorder(log, name, delay) {
+            return function () {
+                log.push('start ' + name);
+                return new Promise(function (resolve) {
+                    setTimeout(function () {
+                        log.push('end ' + name);
+                        resolve(name);
+                    }, delay);
+                });
+            };
+        }
+
+        it('should run listeners in parallel by default', function () {
+            var log = [];
+            var hook = hooks.create();
+            hook.add(recorder(log, 'a', 10));
+            hook.add(recorder(log, 'b', 1));
+            return hook()
+                .then(function (results) {
+                    results.should.deep.equal(['a', 'b']);
+                    log.should.deep.equal(['start a', 'start b', 'end b', 'end a']);
+                });
+        });
+
+        it('should run listeners one at a time by descending priority', function () {
+            var log = [];
+            var hook = hooks.create({ mode: 'priority' });
+            hook.add(recorder(log, 'enrich', 1));
+            hook.add(recorder(log, 'validate', 10), { priority: 10 });
+            return hook()
+                .then(function (results) {
+                    results.should.deep.equal(['validate', 'enrich']);
+                    log.should.deep.equal(['start validate', 'end validate', 'start enrich', 'end enrich']);
+                });
+        });
+
+        it('should run listeners one at a time in registration order', function () {
+            var log = [];
+            var hook = hooks.create({ mode: 'series' });
+            hook.add(recorder(log, 'a', 10));
+            hook.add(recorder(log, 'b', 1), { priority: 10 });
+            return hook()
+                .then(function (results) {
+                    results.should.deep.equal(['a', 'b']);
+                    log.should.deep.equal(['start a', 'end a', 'start b', 'end b']);
+                });
+        });
+
+        it('should let a series listener run by itself within a parallel hook', function () {
+            var log = [];
+            var hook = hooks.create();
+            hook.add(recorder(log, 'a', 1));
+            hook.add(recorder(log, 'validate', 10), { priority: 10, mode: 'series' });
+            hook.add(recorder(log, 'b', 1));
+            return hook()
+                .then(function () {
+                    log.should.deep.equal(['start validate', 'end validate', 'start a', 'start b', 'end a', 'end b']);
+                });
+        });
+
+        it('should apply the execution mode of the event descriptor', function () {
+            var log = [];
+            hooks.addEvents({ id: 'ordered.beforeRun', mode: 'priority' });
+            hooks.on('ordered.beforeRun', recorder(log, 'enrich', 1));
+            hooks.on('ordered.beforeRun', recorder(log, 'validate', 10), { priority: 5 });
+            return hooks.runHook('ordered.beforeRun')
+                .then(function () {
+                    log.should.deep.equal(['start validate', 'end validate', 'start enrich', 'end enrich']);
+                });
+        });
+
+        it('should reject unknown modes', function () {
+            var hook = hooks.create();
+            hook.add.bind(hook, sinon.spy(), { mode: 'sideways' }).should.throw('Unknown execution mode: sideways');
+            hooks.addEvents.bind(hooks, { id: 'ordered.bad', mode: 'sideways' }).should.throw('Unknown execution mode: sideways');
+        });
+
+        it('should remove only the registration that was returned', function () {
+            var listener = sinon.spy();
+            var hook = hooks.create();
+            hook.add(listener);
+            var registration = hook.add(listener, { priority: 1 });
+            registration.remove();
+            hook.listenerCount().should.equal(1);
+        });
+    });
+
+    describe('waterfall hooks', function () {
+        it('should pass the value returned by each listener to the next', function () {
+            var hook = hooks.create({ type: 'waterfall' });
+            hook.add(function (ctx, value) {
+                return value + 1;
+            });
+            hook.add(function (ctx, value) {
+                return value * 10;
+            });
+            return hook('ctx', 1)
+                .then(function (value) {
+                    value.should.equal(20);
+                });
+        });
+
+        it('should keep the current value when a listener returns nothing', function () {
+            var hook = hooks.create({ type: 'waterfall' });
+            hook.add(sinon.spy());
+            hook.add(function (value, done) {
+                done(null, value + '!');
+            }, { style: 'callback' });
+            return hook('hi')
+                .then(function (value) {
+                    value.should.equal('hi!');
+                });
+        });
+
+        it('should reduce through instance and global listeners', function () {
+            hooks.addEvents({ id: 'pipeline.transform', type: 'waterfall' });
+            var instance = hooks.newInstance('pipeline').curry('ctx');
+            instance.on('transform', function (ctx, value) {
+                return value.concat('instance');
+            });
+            hooks.on('pipeline.transform', function (ctx, value) {
+                ctx.should.equal('ctx');
+                return value.concat('global');
+            });
+            return instance.runHook('transform', [])
+                .then(function (value) {
+                    value.should.deep.equal(['instance', 'global']);
+                });
+        });
+
+        it('should reject unknown hook types', function () {
+            hooks.create.bind(hooks, { type: 'sideways' }).should.throw('Unknown hook type: sideways');
+        });
+
+        describe('with hookify', function () {
+            beforeEach(function () {
+                hooks.addEvents([
+                    { id: 'query.beforeExecute', type: 'waterfall' },
+                    { id: 'query.afterExecute', type: 'waterfall' }
+                ]);
+            });
+
+            afterEach(function () {
+                hooks.addEvents([ 'query.beforeExecute', 'query.afterExecute' ]);
+            });
+
+            it('should pass the argument array to before listeners', function () {
+                var spy = sinon.spy();
+                var query = new Query();
+                query.on('beforeExecute', spy);
+                return query.execute('foo', 'bar')
+                    .then(function () {
+                        spy.should.have.been.calledWith(query, ['foo', 'bar']);
+                    });
+            });
+
+            it('should call the method with the rewritten arguments', function () {
+                var spy = sinon.spy();
+                var query = new Query();
+                query.on('beforeExecute', function () {
+                    return ['bar'];
+                });
+                hooks.on('query.afterExecute', spy);
+                return query.execute('foo')
+                    .then(function (result) {
+                        result.params.should.equal('bar');
+                        spy.should.have.been.calledWith(query, 'bar', result);
+                    });
+            });
+
+            it('should let after listeners transform the result', function () {
+                var query = new Query();
+                query.on('afterExecute', function (q, params, result) {
+                    return { params: params, results: result.results.slice(0, 2) };
+                });
+                return query.execute('foo')
+                    .then(function (result) {
+                        result.results.should.deep.equal([1, 2]);
+                    });
+            });
+
+            it('should reject when before listeners do not resolve to an array', function () {
+                var query = new Query();
+                query.on('beforeExecute', function () {
+                    return 'nope';
+                });
+                return query.execute('foo')
+                    .then(function () {
+                        throw new Error('should not have succeeded');
+                    })
+                    .catch(function (err) {
+                        err.message.should.equal('beforeExecute listeners must resolve to an array of arguments');
+                    });
+            });
+        });
+    });
+
     it('should support registering events', function () {
         hooks.addEvents(events);
     });
@@ -181,6 +382,60 @@ describe('hooks', function () {
         hooks.addEvents('whatever');
     });
 
+    describe('event catalog', function () {
+        beforeEach(function () {
+            hooks.addEvents([
+                {
+                    id: 'catalog.beforeLoad',
+                    description: 'before load',
+                    args: [{ name: 'catalog', type: 'Catalog' }, 'options'],
+                    plugin: 'ent-catalog'
+                },
+                { id: 'catalog.afterLoad', description: 'after load', deprecated: 'use catalog.loaded' },
+                'catalogs.refresh'
+            ]);
+        });
+
+        it('should store event descriptors by id', function () {
+            hooks.hookTypes.should.have.property('catalog.beforeLoad');
+            hooks.hookTypes.should.not.have.property('[object Object]');
+        });
+
+        it('should get an event descriptor by id', function () {
+            var descriptor = hooks.getEvent('catalog.beforeLoad');
+            descriptor.description.should.equal('before load');
+            descriptor.plugin.should.equal('ent-catalog');
+            descriptor.args.should.deep.equal([{ name: 'catalog', type: 'Catalog' }, { name: 'options' }]);
+            should.not.exist(hooks.getEvent('catalog.missing'));
+        });
+
+        it('should normalize string events into descriptors', function () {
+            hooks.getEvent('catalogs.refresh').should.deep.equal({ id: 'catalogs.refresh', args: [], aliases: [] });
+        });
+
+        it('should keep deprecation notices', function () {
+            hooks.getEvent('catalog.afterLoad').deprecated.should.equal('use catalog.loaded');
+        });
+
+        it('should list events ordered by id', function () {
+            var ids = hooks.listEvents().map(function (descriptor) {
+                return descriptor.id;
+            });
+            ids.should.include.members(['catalog.afterLoad', 'catalog.beforeLoad', 'catalogs.refresh']);
+            ids.should.deep.equal(ids.slice().sort());
+        });
+
+        it('should filter events by prefix', function () {
+            hooks.findEvents('catalog.').map(function (descriptor) {
+                return descriptor.id;
+            }).should.deep.equal(['catalog.afterLoad', 'catalog.beforeLoad']);
+        });
+
+        it('should reject descriptors without an id', function () {
+            hooks.addEvents.bind(hooks, { description: 'nameless' }).should.throw('Event descriptor must have an id');
+        });
+    });
+
     describe('instance listeners', function () {
         var datasource, instance;
 
@@ -265,6 +520,1769 @@ describe('hooks', function () {
         });
     });
 
+    describe('short-circuiting', function () {
+        var query;
+
+        beforeEach(function () {
+            hooks.addEvents([ 'query.beforeExecute', 'query.afterExecute' ]);
+            query = new Query();
+        });
+
+        it('should invoke listeners with a hook context', function () {
+            var spy = sinon.spy();
+            hooks.on('query.beforeExecute', spy);
+            return query.execute('foo')
+                .then(function () {
+                    spy.thisValues[0].should.be.an.instanceof(hooks.HookContext);
+                    spy.thisValues[0].defaultPrevented.should.be.false;
+                });
+        });
+
+        it('should skip the method when a before listener prevents the default', function () {
+            var cached = { params: 'foo', results: ['cached'] };
+            var method = sinon.spy();
+
+            function CachedQuery() {
+                hooks.HasHooks.call(this, 'query');
+            }
+
+            util.inherits(CachedQuery, hooks.HasHooks);
+            CachedQuery.prototype.execute = hooks.hookify(method, 'execute');
+
+            hooks.on('query.beforeExecute', function () {
+                this.preventDefault(cached);
+            });
+            return new CachedQuery().execute('foo')
+                .then(function (result) {
+                    result.should.equal(cached);
+                    method.should.not.have.been.called;
+                });
+        });
+
+        it('should tell after listeners that the call was short-circuited', function () {
+            var context;
+            query.on('beforeExecute', function () {
+                this.preventDefault(['cached']);
+            });
+            hooks.on('query.afterExecute', function (q, params, result) {
+                context = this;
+                result.should.deep.equal(['cached']);
+            });
+            return query.execute('foo')
+                .then(function () {
+                    context.defaultPrevented.should.be.true;
+                    context.event.should.equal('query.afterExecute');
+                });
+        });
+
+        it('should share a context between instance and global listeners', function () {
+            var instanceSpy = sinon.spy();
+            var globalSpy = sinon.spy();
+            query.on('beforeExecute', instanceSpy);
+            hooks.on('query.beforeExecute', globalSpy);
+            return query.runHook('beforeExecute')
+                .then(function () {
+                    instanceSpy.thisValues[0].should.equal(globalSpy.thisValues[0]);
+                });
+        });
+    });
+
+    describe('error handling', function () {
+        var logger;
+
+        function fail(message) {
+            return function () {
+                throw new Error(message);
+            };
+        }
+
+        beforeEach(function () {
+            logger = { warn: sinon.spy(), error: sinon.spy() };
+            hooks.setLogger(logger);
+        });
+
+        afterEach(function () {
+            hooks.setLogger();
+        });
+
+        it('should reject on the first listener failure by default', function () {
+            var hook = hooks.create({ mode: 'series' });
+            var spy = sinon.spy();
+            hook.add(fail('first'));
+            hook.add(spy);
+            return hook()
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('first');
+                    spy.should.not.have.been.called;
+                });
+        });
+
+        it('should run every listener before rejecting with collected failures', function () {
+            var hook = hooks.create({ id: 'collect.run', mode: 'series', errorPolicy: 'collect' });
+            var spy = sinon.spy();
+            hook.add(fail('first'));
+            hook.add(spy);
+            hook.add(fail('second'));
+            return hook()
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(hooks.HookError);
+                    err.event.should.equal('collect.run');
+                    err.errors.should.have.length(2);
+                    err.message.should.equal('2 listener(s) failed for collect.run: first, second');
+                    spy.should.have.been.calledOnce;
+                });
+        });
+
+        it('should log and swallow failures', function () {
+            var hook = hooks.create({ id: 'swallow.run', errorPolicy: 'swallow' });
+            hook.add(fail('broken plugin'));
+            hook.add(function () {
+                return 'ok';
+            });
+            return hook()
+                .then(function (results) {
+                    results.should.deep.equal([undefined, 'ok']);
+                    logger.error.should.have.been.calledWith('Listener for swallow.run failed');
+                });
+        });
+
+        it('should reject unknown error policies', function () {
+            hooks.addEvents.bind(hooks, { id: 'policy.bad', errorPolicy: 'ignore' }).should.throw('Unknown error policy: ignore');
+        });
+
+        describe('with hookify', function () {
+            var query;
+
+            beforeEach(function () {
+                hooks.addEvents([ 'query.beforeExecute', 'query.afterExecute', 'query.errorExecute' ]);
+                query = new Query();
+            });
+
+            it('should fire the error event when a before listener fails', function () {
+                var spy = sinon.spy();
+                query.on('beforeExecute', fail('invalid query'));
+                query.on('errorExecute', spy);
+                return query.execute('foo')
+                    .then(function () {
+                        throw new Error('should not have succeeded');
+                    })
+                    .catch(function (err) {
+                        err.message.should.equal('invalid query');
+                        spy.should.have.been.calledWith(query, 'foo', err);
+                        spy.thisValues[0].error.should.equal(err);
+                    });
+            });
+
+            it('should reject with the original error when an error listener fails', function () {
+                query.on('beforeExecute', fail('invalid query'));
+                query.on('errorExecute', fail('broken error listener'));
+                return query.execute('foo')
+                    .then(function () {
+                        throw new Error('should not have succeeded');
+                    })
+                    .catch(function (err) {
+                        err.message.should.equal('invalid query');
+                        logger.error.should.have.been.calledWith('Listener for errorExecute failed');
+                    });
+            });
+
+            it('should not let after listener failures affect the result', function () {
+                var spy = sinon.spy();
+                query.on('afterExecute', fail('broken plugin'));
+                query.on('errorExecute', spy);
+                return query.execute('foo')
+                    .then(function (result) {
+                        result.params.should.equal('foo');
+                        spy.should.not.have.been.called;
+                        logger.error.should.have.been.calledWith('Listener for afterExecute failed');
+                    });
+            });
+        });
+    });
+
+    describe('timeouts', function () {
+        function never() {
+            return new Promise(function () {});
+        }
+
+        it('should reject when a listener does not settle in time', function () {
+            var hook = hooks.create({ id: 'slow.run' });
+            hook.add(function stuck() {
+                return never();
+            }, { timeout: 10 });
+            return hook()
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(hooks.HookTimeoutError);
+                    err.event.should.equal('slow.run');
+                    err.timeout.should.equal(10);
+                    err.message.should.equal('Listener stuck for slow.run timed out after 10ms');
+                });
+        });
+
+        it('should time out callback listeners that never call done', function () {
+            hooks.addEvents({ id: 'slow.scan', timeout: 10 });
+            hooks.on('slow.scan', function (arg, done) { // eslint-disable-line no-unused-vars
+            }, { style: 'callback' });
+            return hooks.runHook('slow.scan', 'arg')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(hooks.HookTimeoutError);
+                    err.message.should.equal('Listener <anonymous> for slow.scan timed out after 10ms');
+                });
+        });
+
+        it('should let a listener timeout override the event timeout', function () {
+            hooks.addEvents({ id: 'slow.index', timeout: 10 });
+            hooks.on('slow.index', function () {
+                return P.delay(20).return('done');
+            }, { timeout: 100 });
+            return hooks.runHook('slow.index')
+                .then(function (results) {
+                    results.should.deep.equal(['done']);
+                });
+        });
+
+        it('should abort the context signal when a listener times out', function () {
+            if (!global.AbortController) this.skip();
+
+            var signal;
+            hooks.addEvents({ id: 'slow.export', timeout: 10, errorPolicy: 'collect' });
+            hooks.on('slow.export', function () {
+                signal = this.signal;
+                signal.aborted.should.be.false;
+                return never();
+            });
+            return hooks.runHook('slow.export')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.errors[0].should.be.an.instanceof(hooks.HookTimeoutError);
+                    signal.aborted.should.be.true;
+                    signal.reason.should.equal(err.errors[0]);
+                });
+        });
+
+        it('should reject invalid timeouts', function () {
+            var hook = hooks.create();
+            hook.add.bind(hook, sinon.spy(), { timeout: -1 }).should.throw('Timeout must be a positive number');
+        });
+    });
+
+    describe('pattern subscriptions', function () {
+        beforeEach(function () {
+            hooks.addEvents(events.concat([ 'query.beforeExecute', 'query.afterExecute' ]));
+        });
+
+        it('should notify wildcard listeners with the resolved event name', function () {
+            var spy = sinon.spy();
+            hooks.on('query.*', spy);
+            return hooks.runHook('query.beforeExecute', 'foo')
+                .then(function () {
+                    return hooks.runHook('datasource.beforeScan');
+                })
+                .then(function () {
+                    spy.should.have.been.calledOnce;
+                    spy.should.have.been.calledWith('query.beforeExecute', 'foo');
+                });
+        });
+
+        it('should match leading wildcards', function () {
+            var spy = sinon.spy();
+            hooks.on('*.afterExecute', spy);
+            return new Query().execute('foo')
+                .then(function () {
+                    spy.should.have.been.calledOnce;
+                    spy.args[0][0].should.equal('query.afterExecute');
+                });
+        });
+
+        it('should support regular expressions', function () {
+            var spy = sinon.spy();
+            hooks.on(/^datasource\.(before|after)Scan$/, spy);
+            return hooks.runHook('datasource.beforeScan')
+                .then(function () {
+                    return hooks.runHook('datasource.afterScan');
+                })
+                .then(function () {
+                    spy.should.have.been.calledTwice;
+                });
+        });
+
+        it('should resolve instance patterns against the instance prefix', function () {
+            var spy = sinon.spy();
+            var datasource = { name: 'World Demo' };
+            var instance = hooks.newInstance('datasource').curry(datasource);
+            instance.on('*', spy);
+            return instance.runHook('beforeScan', 'full')
+                .then(function () {
+                    spy.should.have.been.calledWith('datasource.beforeScan', datasource, 'full');
+                });
+        });
+
+        it('should cover events registered after subscribing', function () {
+            var spy = sinon.spy();
+            hooks.on('late.*', spy);
+            hooks.addEvents('late.arrival');
+            return hooks.runHook('late.arrival')
+                .then(function () {
+                    spy.should.have.been.calledWith('late.arrival');
+                });
+        });
+
+        it('should allow a pattern listener to be deregistered', function () {
+            var spy = sinon.spy();
+            var registration = hooks.on('**', spy);
+            registration.remove();
+            return hooks.runHook('query.beforeExecute')
+                .then(function () {
+                    spy.should.not.have.been.called;
+                });
+        });
+    });
+
+    describe('bounded listeners', function () {
+        beforeEach(function () {
+            hooks.addEvents(events.concat([ 'query.beforeExecute', 'query.afterExecute' ]));
+        });
+
+        it('should remove a listener after it fired the given number of times', function () {
+            var spy = sinon.spy();
+            var hook = hooks.create();
+            hook.add(spy, { times: 2 });
+            return P.all([hook(), hook(), hook()])
+                .then(function () {
+                    spy.should.have.been.calledTwice;
+                    hook.listenerCount().should.equal(0);
+                });
+        });
+
+        it('should not exceed the limit when invocations overlap', function () {
+            var spy = sinon.spy(function () {
+                return P.delay(5);
+            });
+            var hook = hooks.create({ mode: 'series' });
+            hook.add(function () {
+                return P.delay(5);
+            });
+            hook.once(spy);
+            return P.all([hook(), hook()])
+                .then(function () {
+                    spy.should.have.been.calledOnce;
+                });
+        });
+
+        it('should support once on global and instance registries', function () {
+            var globalSpy = sinon.spy();
+            var querySpy = sinon.spy();
+            var query = new Query();
+            hooks.once('query.beforeExecute', globalSpy);
+            query.once('beforeExecute', querySpy);
+            return query.execute('foo')
+                .then(function () {
+                    return query.execute('bar');
+                })
+                .then(function () {
+                    globalSpy.should.have.been.calledOnce;
+                    querySpy.should.have.been.calledOnce;
+                    querySpy.should.have.been.calledWith(query, 'foo');
+                });
+        });
+
+        it('should reject invalid limits', function () {
+            var hook = hooks.create();
+            hook.add.bind(hook, sinon.spy(), { times: 1.5 }).should.throw('Times must be a positive integer');
+        });
+
+        it('should wait for the next invocation of an event', function () {
+            var waiting = hooks.waitFor('datasource.beforeScan');
+            return hooks.runHook('datasource.beforeScan', 'first')
+                .then(function () {
+                    return waiting;
+                })
+                .then(function (args) {
+                    args.should.deep.equal(['first']);
+                });
+        });
+
+        it('should wait for an invocation matching a predicate', function () {
+            var query = new Query();
+            var waiting = query.waitFor('afterExecute', function (q, params) {
+                return params === 'bar';
+            });
+            return query.execute('foo')
+                .then(function () {
+                    return query.execute('bar');
+                })
+                .then(function () {
+                    return waiting;
+                })
+                .then(function (args) {
+                    args[0].should.equal(query);
+                    args[1].should.equal('bar');
+                });
+        });
+    });
+
+    describe('hierarchical registries', function () {
+        var tenant, datasource;
+
+        beforeEach(function () {
+            hooks.addEvents(events.concat([ 'query.beforeExecute', 'query.afterExecute' ]));
+            tenant = hooks.newInstance().curry('ignored');
+            datasource = tenant.createChild('datasource');
+        });
+
+        afterEach(function () {
+            hooks.addEvents(events);
+        });
+
+        it('should bubble events through every ancestor', function () {
+            var log = [];
+            datasource.on('beforeScan', function () {
+                log.push('datasource');
+            });
+            tenant.on('datasource.beforeScan', function () {
+                log.push('tenant');
+            });
+            hooks.on('datasource.beforeScan', function () {
+                log.push('global');
+            });
+            return datasource.runHook('beforeScan')
+                .then(function () {
+                    log.should.deep.equal(['datasource', 'tenant', 'global']);
+                });
+        });
+
+        it('should pass the arguments of the emitting registry to its ancestors', function () {
+            var spy = sinon.spy();
+            tenant.on('query.afterExecute', spy);
+            var query = new Query();
+            var tenantQuery = new Query();
+            tenantQuery.hooks = tenant.createChild('query').curry(tenantQuery);
+            return query.execute('foo')
+                .then(function () {
+                    return tenantQuery.execute('bar');
+                })
+                .then(function (result) {
+                    spy.should.have.been.calledOnce;
+                    spy.should.have.been.calledWith(tenantQuery, 'bar', result);
+                });
+        });
+
+        it('should accept a parent registry for HasHooks objects', function () {
+            var spy = sinon.spy();
+            function TenantQuery() {
+                hooks.HasHooks.call(this, 'query', tenant);
+            }
+            util.inherits(TenantQuery, hooks.HasHooks);
+            tenant.on('query.beforeExecute', spy);
+            var query = new TenantQuery();
+            return query.runHook('beforeExecute', 'foo')
+                .then(function () {
+                    spy.should.have.been.calledWith(query, 'foo');
+                });
+        });
+
+        it('should bubble root first when the event asks for it', function () {
+            var log = [];
+            hooks.addEvents({ id: 'datasource.beforeScan', bubble: 'root-first' });
+            datasource.on('beforeScan', function () {
+                log.push('datasource');
+            });
+            hooks.on('datasource.beforeScan', function () {
+                log.push('global');
+            });
+            return datasource.runHook('beforeScan')
+                .then(function () {
+                    log.should.deep.equal(['global', 'datasource']);
+                });
+        });
+
+        it('should let a listener stop propagation to ancestors', function () {
+            var tenantSpy = sinon.spy();
+            var globalSpy = sinon.spy();
+            var siblingSpy = sinon.spy();
+            datasource.on('beforeScan', function () {
+                this.stopPropagation();
+            });
+            datasource.on('beforeScan', siblingSpy);
+            tenant.on('datasource.beforeScan', tenantSpy);
+            hooks.on('datasource.beforeScan', globalSpy);
+            return datasource.runHook('beforeScan')
+                .then(function () {
+                    siblingSpy.should.have.been.calledOnce;
+                    tenantSpy.should.not.have.been.called;
+                    globalSpy.should.not.have.been.called;
+                });
+        });
+
+        it('should reject unknown bubbling orders', function () {
+            hooks.addEvents.bind(hooks, { id: 'bubble.bad', bubble: 'sideways' }).should.throw('Unknown bubbling order: sideways');
+        });
+    });
+
+    describe('introspection', function () {
+        beforeEach(function () {
+            hooks.addEvents(events.concat([ 'query.beforeExecute', 'query.afterExecute' ]));
+        });
+
+        it('should describe the listeners of a hook', function () {
+            var hook = hooks.create();
+            hook.add(function audit() {}, { priority: 5, plugin: 'ent-audit' });
+            hook.add(sinon.spy(), { name: 'cache' });
+            var listeners = hook.listeners();
+            listeners.should.have.length(2);
+            listeners[0].name.should.equal('audit');
+            listeners[0].plugin.should.equal('ent-audit');
+            listeners[0].priority.should.equal(5);
+            listeners[0].location.should.contain('hooks-spec.js');
+            listeners[1].name.should.equal('cache');
+        });
+
+        it('should count invocations and remember the last error', function () {
+            var hook = hooks.create({ errorPolicy: 'collect' });
+            hook.add(function broken() {
+                throw new Error('broken');
+            });
+            return hook()
+                .catch(function () {
+                    return hook();
+                })
+                .catch(function () {
+                    var listener = hook.listeners()[0];
+                    listener.invocations.should.equal(2);
+                    listener.lastError.message.should.equal('broken');
+                });
+        });
+
+        it('should list listeners across a registry and its ancestors', function () {
+            var query = new Query();
+            query.on('beforeExecute', function local() {});
+            hooks.on('query.beforeExecute', function global() {});
+            hooks.on('query.*', function audit() {});
+            var listeners = query.listeners('beforeExecute');
+            listeners.map(function (listener) {
+                return listener.name;
+            }).should.deep.equal(['local', 'global', 'audit']);
+            listeners[0].registry.should.equal(query.hooks.label());
+            listeners[1].registry.should.match(/^root#/);
+            listeners[2].pattern.should.equal('^query\\.[^.]*$');
+        });
+
+        it('should dump global and instance listeners for each event', function () {
+            // instance registries are only tracked with weak references
+            if (!global.WeakRef) this.skip();
+            var query = new Query();
+            query.on('afterExecute', function local() {});
+            hooks.on('query.afterExecute', function global() {});
+            var dump = _.find(hooks.inspect(), { id: 'query.afterExecute' });
+            dump.listeners.map(function (listener) {
+                return listener.registry + ' ' + listener.name;
+            }).should.include.members([
+                hooks.newInstance().parent.label() + ' global',
+                query.hooks.label() + ' local'
+            ]);
+        });
+    });
+
+    describe('argument validation', function () {
+        var instance, logger;
+
+        function Datasource() {}
+
+        beforeEach(function () {
+            logger = { warn: sinon.spy(), error: sinon.spy() };
+            hooks.setLogger(logger);
+            hooks.addEvents({
+                id: 'validated.beforeScan',
+                validate: 'strict',
+                args: [
+                    { name: 'datasource', type: Datasource, required: true },
+                    { name: 'options', type: 'object' },
+                    { name: 'limit', type: 'number|string' }
+                ]
+            });
+            instance = hooks.newInstance('validated').curry(new Datasource());
+        });
+
+        afterEach(function () {
+            hooks.setLogger();
+            hooks.setValidation();
+        });
+
+        it('should accept matching arguments', function () {
+            return instance.runHook('beforeScan', { full: true }, 10);
+        });
+
+        it('should accept missing optional arguments', function () {
+            return instance.runHook('beforeScan');
+        });
+
+        it('should reject with a descriptive error for a bad argument', function () {
+            return instance.runHook('beforeScan', 'full')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(hooks.HookArgumentError);
+                    err.message.should.equal('Invalid argument "options" (position 1) for validated.beforeScan: expected object, got string');
+                });
+        });
+
+        it('should reject a missing required argument', function () {
+            return hooks.runHook('validated.beforeScan')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Invalid argument "datasource" (position 0) for validated.beforeScan: argument is required');
+                });
+        });
+
+        it('should check constructor types', function () {
+            return hooks.runHook('validated.beforeScan', {})
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Invalid argument "datasource" (position 0) for validated.beforeScan: expected Datasource, got object');
+                });
+        });
+
+        it('should throw for bad arguments of synchronous events', function () {
+            hooks.addEvents({ id: 'validated.render', sync: true, validate: 'strict', args: [{ name: 'row', type: 'object' }] });
+            hooks.runHook.bind(hooks, 'validated.render', 'row').should
+                .throw(hooks.HookArgumentError, 'Invalid argument "row" (position 0) for validated.render: expected object, got string');
+        });
+
+        it('should reject hookified methods called with bad arguments', function () {
+            var method = sinon.spy();
+            var scanner = new hooks.HasHooks('validated');
+            var scan = hooks.hookify(method, 'scan');
+
+            return scan.call(scanner, { full: true })
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(hooks.HookArgumentError);
+                    err.argument.should.equal('datasource');
+                    method.should.not.have.been.called;
+                });
+        });
+
+        it('should only warn in warn-only mode', function () {
+            hooks.addEvents({ id: 'validated.afterScan', validate: 'warn', args: [{ name: 'count', type: 'number' }] });
+            return hooks.runHook('validated.afterScan', 'ten')
+                .then(function () {
+                    logger.warn.should.have.been
+                        .calledWith('Invalid argument "count" (position 0) for validated.afterScan: expected number, got string');
+                });
+        });
+
+        it('should apply the default validation mode to events that do not declare one', function () {
+            hooks.addEvents({ id: 'validated.index', args: [{ name: 'count', type: 'number' }] });
+            hooks.setValidation('strict');
+            return hooks.runHook('validated.index', 'ten')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(hooks.HookArgumentError);
+                });
+        });
+
+        it('should reject unknown validation modes', function () {
+            hooks.setValidation.bind(hooks, 'loose').should.throw('Unknown validation mode: loose');
+        });
+    });
+
+    describe('deprecation and aliases', function () {
+        var logger;
+
+        beforeEach(function () {
+            logger = { warn: sinon.spy(), error: sinon.spy() };
+            hooks.setLogger(logger);
+            hooks.addEvents({ id: 'renamed.beforeIndex', aliases: ['renamed.beforeScan'] });
+        });
+
+        afterEach(function () {
+            hooks.setLogger();
+        });
+
+        it('should bind listeners registered with an alias to the canonical event', function () {
+            var spy = sinon.spy();
+            var instance = hooks.newInstance('renamed');
+            instance.on('beforeScan', spy);
+            return instance.runHook('beforeIndex', 'foo')
+                .then(function () {
+                    spy.should.have.been.calledWith('foo');
+                    spy.thisValues[0].event.should.equal('renamed.beforeIndex');
+                });
+        });
+
+        it('should fire listeners registered under any alias', function () {
+            var oldSpy = sinon.spy();
+            var newSpy = sinon.spy();
+            hooks.on('renamed.beforeScan', oldSpy);
+            hooks.on('renamed.beforeIndex', newSpy);
+            return hooks.runHook('renamed.beforeScan')
+                .then(function () {
+                    oldSpy.should.have.been.calledOnce;
+                    newSpy.should.have.been.calledOnce;
+                });
+        });
+
+        it('should warn once when registering with an alias', function () {
+            hooks.addEvents({ id: 'renamed.afterIndex', aliases: 'renamed.afterScan' });
+            hooks.on('renamed.afterScan', sinon.spy());
+            hooks.on('renamed.afterScan', sinon.spy());
+            logger.warn.should.have.been.calledOnce;
+            logger.warn.should.have.been.calledWith('Event renamed.afterScan is deprecated, listening to renamed.afterIndex instead');
+        });
+
+        it('should warn once when registering with a deprecated event', function () {
+            hooks.addEvents({ id: 'renamed.obsolete', deprecated: 'use renamed.beforeIndex' });
+            hooks.on('renamed.obsolete', sinon.spy());
+            hooks.on('renamed.obsolete', sinon.spy());
+            logger.warn.should.have.been.calledOnce;
+            logger.warn.should.have.been.calledWith('Event renamed.obsolete is deprecated: use renamed.beforeIndex');
+        });
+
+        it('should keep the listeners registered before an event was renamed', function () {
+            var oldSpy = sinon.spy();
+            var newSpy = sinon.spy();
+            var instance = hooks.newInstance('renamed');
+            hooks.addEvents('renamed.beforeCrawl', 'renamed.beforeFetch');
+            hooks.on('renamed.beforeFetch', newSpy);
+            var registration = hooks.on('renamed.beforeCrawl', oldSpy);
+            instance.on('beforeCrawl', oldSpy);
+
+            hooks.addEvents({ id: 'renamed.beforeFetch', aliases: ['renamed.beforeCrawl'] });
+            instance.listeners('beforeFetch').should.have.length(3);
+
+            return instance.runHook('beforeFetch')
+                .then(function () {
+                    oldSpy.should.have.been.calledTwice;
+                    newSpy.should.have.been.calledOnce;
+                    registration.remove();
+                    hooks.listeners('renamed.beforeFetch').should.have.length(1);
+                });
+        });
+
+        it('should describe aliases with the canonical descriptor', function () {
+            hooks.getEvent('renamed.beforeScan').id.should.equal('renamed.beforeIndex');
+            should.not.exist(hooks.hookTypes['renamed.beforeScan']);
+        });
+    });
+
+    describe('scopes', function () {
+        var scope;
+
+        beforeEach(function () {
+            hooks.addEvents([ 'query.beforeExecute', 'query.afterExecute' ]);
+            scope = hooks.scope('my-plugin');
+            scope.addEvents([ 'myPlugin.beforeSync', { id: 'myPlugin.afterSync', description: 'after sync' } ]);
+        });
+
+        afterEach(function () {
+            scope.dispose();
+        });
+
+        it('should tag events with the plugin', function () {
+            hooks.getEvent('myPlugin.beforeSync').plugin.should.equal('my-plugin');
+            hooks.getEvent('myPlugin.afterSync').description.should.equal('after sync');
+        });
+
+        it('should tag listeners with the plugin', function () {
+            var query = new Query();
+            scope.listen(query, 'beforeExecute', function audit() {});
+            query.listeners('beforeExecute')[0].plugin.should.equal('my-plugin');
+        });
+
+        it('should remove exactly the plugin listeners across globals and live instances', function () {
+            if (!global.WeakRef) this.skip();
+            var query = new Query();
+            var pluginSpy = sinon.spy();
+            var instanceSpy = sinon.spy();
+            var patternSpy = sinon.spy();
+            var otherSpy = sinon.spy();
+
+            scope.on('query.beforeExecute', pluginSpy);
+            scope.on('query.*', patternSpy);
+            scope.listen(query, 'beforeExecute', instanceSpy);
+            hooks.on('query.beforeExecute', otherSpy);
+
+            scope.dispose();
+
+            return query.execute('foo')
+                .then(function () {
+                    pluginSpy.should.not.have.been.called;
+                    instanceSpy.should.not.have.been.called;
+                    patternSpy.should.not.have.been.called;
+                    otherSpy.should.have.been.calledOnce;
+                });
+        });
+
+        it('should remove the event types the plugin declared', function () {
+            scope.dispose();
+            should.not.exist(hooks.getEvent('myPlugin.beforeSync'));
+            hooks.on.bind(hooks, 'myPlugin.beforeSync', sinon.spy()).should.throw('Unknown event: myPlugin.beforeSync');
+        });
+
+        it('should require a plugin name', function () {
+            hooks.scope.bind(hooks).should.throw('Scope must have a plugin name');
+        });
+    });
+
+    describe('removeEvents()', function () {
+        it('should remove event types and their aliases', function () {
+            hooks.addEvents({ id: 'removable.beforeIndex', aliases: ['removable.beforeScan'] });
+            hooks.removeEvents('removable.beforeIndex');
+            should.not.exist(hooks.getEvent('removable.beforeIndex'));
+            should.not.exist(hooks.getEvent('removable.beforeScan'));
+        });
+    });
+
+    describe('listener styles', function () {
+        afterEach(function () {
+            if (P.promisify.restore) P.promisify.restore();
+        });
+
+        it('should honor an explicit promise style regardless of the arguments passed', function () {
+            var hook = hooks.create();
+            hook.add(function (value, extra) {
+                return [value, extra];
+            }, { style: 'promise' });
+            return hook(1)
+                .then(function (results) {
+                    results.should.deep.equal([[1, undefined]]);
+                });
+        });
+
+        it('should honor an explicit callback style', function () {
+            var hook = hooks.create();
+            hook.add(function () {
+                _.last(arguments)(null, arguments.length);
+            }, { style: 'callback' });
+            return hook(1, 2)
+                .then(function (results) {
+                    results.should.deep.equal([3]);
+                });
+        });
+
+        it('should detect the style from the arguments declared by the event', function () {
+            var hook = hooks.create({ args: [{ name: 'row' }] });
+            hook.add(function (row, done) {
+                done(null, 'called back');
+            });
+            hook.listeners()[0].should.have.property('style', 'callback');
+            return hook()
+                .then(function (results) {
+                    results.should.deep.equal(['called back']);
+                });
+        });
+
+        it('should treat listeners as promise-based when the event declares no arguments', function () {
+            var hook = hooks.create();
+            hook.add(function (value, extra) {
+                return [value, extra];
+            });
+            hook.listeners()[0].should.have.property('style', 'promise');
+            return hook(1)
+                .then(function (results) {
+                    results.should.deep.equal([[1, undefined]]);
+                    return hook(1, 2);
+                })
+                .then(function (results) {
+                    results.should.deep.equal([[1, 2]]);
+                });
+        });
+
+        it('should promisify callback listeners once', function () {
+            sinon.spy(P, 'promisify');
+            var hook = hooks.create();
+            hook.add(function (value, done) {
+                done(null, value);
+            }, { style: 'callback' });
+            return P.all([hook(), hook(), hook()])
+                .then(function () {
+                    P.promisify.should.have.been.calledOnce;
+                });
+        });
+
+        it('should reject unknown styles', function () {
+            var hook = hooks.create();
+            hook.add.bind(hook, _.noop, { style: 'thunk' }).should.throw('Unknown listener style: thunk');
+        });
+
+        it('should reject callback listeners on synchronous hooks', function () {
+            var hook = hooks.create({ sync: true });
+            hook.add.bind(hook, _.noop, { style: 'callback' })
+                .should.throw('Synchronous hooks do not support callback listeners');
+        });
+    });
+
+    describe('synchronous hooks', function () {
+        function Row(values) {
+            hooks.HasHooks.call(this, 'row');
+            this.values = values;
+        }
+
+        util.inherits(Row, hooks.HasHooks);
+
+        Row.prototype.transform = hooks.hookifySync(function transform(factor) {
+            return this.values.map(function (value) {
+                return value * factor;
+            });
+        });
+
+        before(function () {
+            hooks.addEvents([
+                { id: 'row.beforeTransform', sync: true },
+                { id: 'row.afterTransform', type: 'waterfall', sync: true },
+                { id: 'row.errorTransform', sync: true }
+            ]);
+        });
+
+        it('should return listener results without promises', function () {
+            var hook = hooks.create({ sync: true });
+            hook.add(_.constant(1));
+            hook.add(_.constant(2), { priority: 10 });
+            hook('ctx').should.deep.equal([2, 1]);
+        });
+
+        it('should reduce synchronous waterfall hooks', function () {
+            var hook = hooks.create({ type: 'waterfall', sync: true });
+            hook.add(function (value) {
+                return value + 1;
+            });
+            hook.add(_.noop);
+            hook.add(function (value) {
+                return value * 10;
+            });
+            hook(1).should.equal(20);
+        });
+
+        it('should throw when a listener returns a promise', function () {
+            var hook = hooks.create({ id: 'row.scan', sync: true });
+            hook.add(function lookup() {
+                return P.resolve(1);
+            });
+            hook.should.throw('Listener lookup for synchronous event row.scan returned a promise');
+        });
+
+        it('should apply error policies', function () {
+            var hook = hooks.create({ sync: true, errorPolicy: 'collect' });
+            var spy = sinon.spy();
+            hook.add(function () {
+                throw new Error('boom');
+            });
+            hook.add(spy);
+            hook.should.throw(hooks.HookError, '1 listener(s) failed for hook: boom');
+            spy.should.have.been.called;
+        });
+
+        it('should reject timeouts', function () {
+            hooks.addEvents.bind(hooks, { id: 'row.slow', sync: true, timeout: 10 })
+                .should.throw('Synchronous hooks cannot time out');
+        });
+
+        it('should bubble through registries and pattern listeners synchronously', function () {
+            hooks.addEvents({ id: 'row.parse', type: 'waterfall', sync: true });
+            var instance = hooks.newInstance('row');
+            var pattern = sinon.spy();
+            instance.on('parse', function (value) {
+                return value + ' instance';
+            });
+            hooks.on('row.parse', function (value) {
+                return value + ' global';
+            });
+            hooks.on('row.*', pattern);
+            instance.runHook('parse', 'row').should.equal('row instance global');
+            pattern.should.have.been.calledWith('row.parse', 'row instance global');
+        });
+
+        it('should not wait for asynchronous pattern listeners', function () {
+            hooks.addEvents({ id: 'row.audit', sync: true });
+            var audit = sinon.spy(function () {
+                return P.resolve();
+            });
+            hooks.on('row.audit', _.constant('audited'));
+            hooks.on('row.*', audit);
+            hooks.runHook('row.audit').should.deep.equal(['audited']);
+            audit.should.have.been.calledWith('row.audit');
+        });
+
+        it('should log the rejections of asynchronous pattern listeners', function () {
+            var logger = { warn: sinon.spy(), error: sinon.spy() };
+            var err = new Error('audit log unavailable');
+            hooks.setLogger(logger);
+            hooks.addEvents({ id: 'row.audit', sync: true });
+            hooks.on('row.*', function () {
+                return P.reject(err);
+            });
+            hooks.runHook('row.audit').should.deep.equal([]);
+
+            return P.delay(1)
+                .then(function () {
+                    logger.error.should.have.been.calledWith('Listener for row.audit failed', err);
+                })
+                .finally(function () {
+                    hooks.setLogger();
+                });
+        });
+
+        it('should stop propagation', function () {
+            hooks.addEvents({ id: 'row.validate', sync: true });
+            var instance = hooks.newInstance('row');
+            var spy = sinon.spy();
+            instance.on('validate', function () {
+                this.stopPropagation();
+                return true;
+            });
+            hooks.on('row.validate', spy);
+            instance.runHook('validate').should.deep.equal([true]);
+            spy.should.not.have.been.called;
+        });
+
+        describe('with hookifySync', function () {
+            it('should run before and after listeners around the method', function () {
+                var row = new Row([1, 2]);
+                var before = sinon.spy();
+                row.on('beforeTransform', before);
+                row.on('afterTransform', function (self, factor, result) {
+                    return result.concat(factor);
+                });
+                row.transform(3).should.deep.equal([3, 6, 3]);
+                before.should.have.been.calledWith(row, 3);
+            });
+
+            it('should skip the method when a before listener prevents the default', function () {
+                var row = new Row([1, 2]);
+                row.on('beforeTransform', function () {
+                    this.preventDefault([]);
+                });
+                row.transform(3).should.deep.equal([]);
+            });
+
+            it('should fire the error event and rethrow failures', function () {
+                var row = new Row(null);
+                var spy = sinon.spy();
+                row.on('errorTransform', spy);
+                row.transform.bind(row, 3).should.throw(TypeError);
+                spy.should.have.been.calledWith(row, 3, sinon.match.instanceOf(TypeError));
+            });
+
+            it('should refuse asynchronous events', function () {
+                hooks.addEvents('batch.beforeRun');
+                var run = hooks.hookifySync(_.noop, 'run');
+                run.bind(new hooks.HasHooks('batch')).should.throw('beforeRun must be declared as a synchronous event');
+            });
+        });
+    });
+
+    describe('class mixins', function () {
+        var EventEmitter = require('events').EventEmitter;
+
+        class Scanner extends hooks.withHooks('scanner')(EventEmitter) {
+            constructor(source) {
+                super();
+                this.source = source;
+            }
+
+            scan(limit) {
+                this.emit('scanned', limit);
+                return this.source.slice(0, limit);
+            }
+
+            index() {
+                return 'indexed';
+            }
+        }
+
+        before(function () {
+            hooks.addEvents({ id: 'scanner.afterIndex', type: 'waterfall' });
+            hooks.hookifyClass(Scanner, ['scan', 'index']);
+        });
+
+        it('should give instances of the mixed in class their own hooks', function () {
+            var scanner = new Scanner([]);
+            scanner.should.be.an.instanceof(EventEmitter);
+            scanner.hooks.prefix.should.equal('scanner');
+            scanner.should.respondTo('runHook');
+            scanner.on.should.equal(EventEmitter.prototype.on);
+        });
+
+        it('should register the before and after events of hookified methods', function () {
+            hooks.getEvent('scanner.beforeScan').should.have.property('id', 'scanner.beforeScan');
+            hooks.getEvent('scanner.afterScan').should.have.property('id', 'scanner.afterScan');
+            hooks.getEvent('scanner.afterIndex').should.have.property('type', 'waterfall');
+            Object.keys(Scanner.prototype).should.not.include('scan');
+        });
+
+        it('should run hooks around hookified methods', function () {
+            var scanner = new Scanner([1, 2, 3]);
+            var before = sinon.spy();
+            var emitted = sinon.spy();
+            scanner.hooks.on('beforeScan', before);
+            scanner.on('scanned', emitted);
+            hooks.on('scanner.afterIndex', function (self, result) {
+                return result + ' twice';
+            });
+
+            return P.all([scanner.scan(2), scanner.index()])
+                .spread(function (scanned, indexed) {
+                    scanned.should.deep.equal([1, 2]);
+                    indexed.should.equal('indexed twice');
+                    before.should.have.been.calledWith(scanner, 2);
+                    emitted.should.have.been.calledWith(2);
+                });
+        });
+
+        it('should accept mixed in objects as parents', function () {
+            var scanner = new Scanner([]);
+            var child = new hooks.HasHooks('child', scanner);
+            child.hooks.parent.should.equal(scanner.hooks);
+        });
+
+        it('should reject unknown methods', function () {
+            hooks.hookifyClass.bind(hooks, Scanner, ['rescan']).should.throw('Unknown method: rescan');
+        });
+
+        it('should require a name for anonymous methods', function () {
+            hooks.hookify.bind(hooks, function () {}).should.throw('Anonymous methods must be hookified with an event name');
+        });
+    });
+
+    describe('around hooks', function () {
+        function Ledger() {
+            hooks.HasHooks.call(this, 'ledger');
+            this.attempts = 0;
+        }
+
+        util.inherits(Ledger, hooks.HasHooks);
+
+        Ledger.prototype.post = hooks.hookify(function post(amount) {
+            this.attempts++;
+            if (amount < 0) throw new Error('Negative amount');
+            return 'posted ' + amount;
+        });
+
+        before(function () {
+            hooks.addEvents([
+                'ledger.beforePost',
+                'ledger.afterPost',
+                { id: 'ledger.aroundPost', type: 'around' }
+            ]);
+        });
+
+        after(function () {
+            hooks.removeEvents('ledger.aroundPost');
+        });
+
+        it('should compose listeners in priority order around the innermost function', function () {
+            var hook = hooks.create({ type: 'around' });
+            var calls = [];
+            hook.add(function (ctx, next) {
+                calls.push('inner');
+                return next().then(function (result) {
+                    return result + 1;
+                });
+            });
+            hook.add(function (ctx, next) {
+                calls.push('outer');
+                return next().then(function (result) {
+                    return result * 10;
+                });
+            }, { priority: 10 });
+
+            return hook({ args: [] }, function () {
+                calls.push('core');
+                return 1;
+            }).then(function (result) {
+                result.should.equal(20);
+                calls.should.deep.equal(['outer', 'inner', 'core']);
+            });
+        });
+
+        it('should put the method at the innermost layer', function () {
+            var ledger = new Ledger();
+            var before = sinon.spy();
+            var after = sinon.spy();
+            ledger.on('beforePost', before);
+            ledger.on('afterPost', after);
+            ledger.on('aroundPost', function (ctx, next) {
+                ctx.target.should.equal(ledger);
+                ctx.args = [ctx.args[0] * 2];
+                return next().then(function (result) {
+                    return result + '!';
+                });
+            });
+
+            return ledger.post(5)
+                .then(function (result) {
+                    result.should.equal('posted 10!');
+                    before.should.have.been.calledWith(ledger, 5);
+                    after.should.have.been.calledWith(ledger, 10, 'posted 10!');
+                });
+        });
+
+        it('should let listeners call next more than once', function () {
+            var ledger = new Ledger();
+            ledger.on('aroundPost', function retry(ctx, next) {
+                return next().catch(function () {
+                    ctx.args = [0];
+                    return next();
+                });
+            });
+
+            return ledger.post(-1)
+                .then(function (result) {
+                    result.should.equal('posted 0');
+                    ledger.attempts.should.equal(2);
+                });
+        });
+
+        it('should let listeners skip the method and transform failures', function () {
+            var ledger = new Ledger();
+            ledger.on('aroundPost', function (ctx, next) {
+                return next().catch(function (err) {
+                    return 'failed: ' + err.message;
+                });
+            });
+            ledger.on('aroundPost', function (ctx) {
+                if (ctx.args[0] > 100) throw new Error('Over limit');
+                return 'skipped';
+            });
+
+            return P.all([ledger.post(500), ledger.post(1)])
+                .spread(function (overLimit, skipped) {
+                    overLimit.should.equal('failed: Over limit');
+                    skipped.should.equal('skipped');
+                    ledger.attempts.should.equal(0);
+                });
+        });
+
+        it('should wrap the layers of ancestor registries around those of the emitter', function () {
+            var ledger = new Ledger();
+            var calls = [];
+            hooks.on('ledger.aroundPost', function (ctx, next) {
+                calls.push('global');
+                ctx.curried.should.deep.equal([ledger]);
+                return next();
+            });
+            ledger.on('aroundPost', function (ctx, next) {
+                calls.push('instance');
+                return next();
+            });
+
+            return ledger.post(1)
+                .then(function () {
+                    calls.should.deep.equal(['instance', 'global']);
+                });
+        });
+
+        it('should reject calls without an innermost function', function () {
+            return hooks.runHook('ledger.aroundPost', 1)
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('ledger.aroundPost must be run with an innermost function');
+                });
+        });
+
+        it('should reject synchronous around hooks', function () {
+            hooks.create.bind(hooks, { type: 'around', sync: true })
+                .should.throw('Synchronous hooks cannot be around hooks');
+        });
+    });
+
+    describe('context propagation', function () {
+        function Tenant() {
+            hooks.HasHooks.call(this, 'tenant');
+        }
+
+        util.inherits(Tenant, hooks.HasHooks);
+
+        Tenant.prototype.load = hooks.hookify(function load() {
+            return hooks.context();
+        });
+
+        before(function () {
+            // context propagation is a no-op without AsyncLocalStorage
+            if (!require('async_hooks').AsyncLocalStorage) this.skip();
+
+            hooks.addEvents([
+                { id: 'tenant.resolve', mode: 'series' },
+                'tenant.beforeLoad',
+                'tenant.afterLoad'
+            ]);
+        });
+
+        it('should run listeners with the store of the caller', function () {
+            hooks.on('tenant.resolve', function () {
+                return P.delay(5);
+            });
+            hooks.on('tenant.resolve', function () {
+                return hooks.context().tenant;
+            });
+
+            var resolve = function (tenant) {
+                return hooks.runWithContext({ tenant: tenant }, function () {
+                    return hooks.runHook('tenant.resolve');
+                });
+            };
+
+            return P.all([resolve('acme'), resolve('globex')])
+                .spread(function (acme, globex) {
+                    acme[1].should.equal('acme');
+                    globex[1].should.equal('globex');
+                });
+        });
+
+        it('should run callback listeners with the store of the caller', function () {
+            hooks.on('tenant.resolve', function (done) {
+                setImmediate(function () {
+                    done(null, hooks.context().tenant);
+                });
+            }, { style: 'callback' });
+
+            return hooks.runWithContext({ tenant: 'acme' }, function () {
+                return hooks.runHook('tenant.resolve');
+            }).then(function (results) {
+                results.should.deep.equal(['acme']);
+            });
+        });
+
+        it('should run hookified methods with the store of the caller', function () {
+            var tenant = new Tenant();
+            var after = sinon.spy(function () {
+                return hooks.context();
+            });
+            tenant.on('beforeLoad', function () {
+                return P.delay(5);
+            });
+            tenant.on('afterLoad', after);
+
+            return hooks.runWithContext({ tenant: 'acme' }, function () {
+                return tenant.load();
+            }).then(function (store) {
+                store.should.deep.equal({ tenant: 'acme' });
+                after.should.have.returned(store);
+            });
+        });
+
+        it('should populate the store of each hapi request', function () {
+            var registry = hooks.createRegistry();
+            var request = { id: 'req-1' };
+            var reply = {
+                continue: sinon.spy(function () {
+                    return registry.context();
+                })
+            };
+            var server = {
+                app: {},
+                expose: sinon.spy(),
+                ext: sinon.spy(),
+                on: sinon.spy()
+            };
+
+            registry.register(server, {
+                context: function (req) {
+                    return { requestId: req.id };
+                }
+            }, _.noop);
+
+            server.ext.should.have.been.calledWith('onRequest');
+            server.ext.args[0][1](request, reply).should.deep.equal({ requestId: 'req-1' });
+            reply.continue.should.have.been.calledOnce;
+        });
+    });
+
+    describe('hapi integration', function () {
+        var registry, server, exts, handlers;
+
+        function lifecycle(point, request) {
+            return new P(function (resolve, reject) {
+                var reply = function (err) {
+                    reject(err);
+                };
+                reply.continue = resolve;
+                exts[point](request, reply);
+            });
+        }
+
+        beforeEach(function () {
+            registry = hooks.createRegistry();
+            exts = {};
+            handlers = {};
+            server = {
+                app: {},
+                expose: sinon.spy(),
+                ext: function (point, handler) {
+                    exts[point] = handler;
+                },
+                on: function (event, handler) {
+                    handlers[event] = handler;
+                }
+            };
+        });
+
+        it('should register declared events and listeners once the server starts', function () {
+            var listener = sinon.spy();
+            registry.register(server, {
+                events: [{ id: 'audit.access', args: ['user'] }],
+                listeners: [{ event: 'audit.access', listener: listener, options: { name: 'audit' } }]
+            }, _.noop);
+
+            registry.getEvent('audit.access').args.should.deep.equal([{ name: 'user' }]);
+            registry.listeners('audit.access').should.have.length(0);
+            handlers.start();
+            registry.listeners('audit.access').should.have.length(1);
+            registry.listeners('audit.access')[0].name.should.equal('audit');
+        });
+
+        it('should attach a registry to each request until the response is sent', function () {
+            var request = { app: {} };
+            registry.register(server, { requests: true }, _.noop);
+
+            return lifecycle('onRequest', request)
+                .then(function () {
+                    var scoped = request.app.hooks;
+                    scoped.parent.should.equal(registry.globals);
+                    scoped.args.should.deep.equal([request]);
+                    scoped.on('**', _.noop);
+                    registry.globals.descendants().should.have.length(global.WeakRef ? 1 : 0);
+
+                    handlers.response(request);
+                    return P.delay(1).return(scoped);
+                })
+                .then(function (scoped) {
+                    should.not.exist(request.app.hooks);
+                    registry.globals.descendants().should.not.include(scoped);
+                });
+        });
+
+        it('should bridge lifecycle points into request-scoped events', function () {
+            var request = { app: {} };
+            var calls = [];
+            registry.register(server, { lifecycle: 'http' }, _.noop);
+            handlers.start();
+
+            ['onRequest', 'onPreHandler', 'onPostHandler', 'response'].forEach(function (point) {
+                registry.on('http.' + point, function (req) {
+                    req.should.equal(request);
+                    calls.push(point);
+                });
+            });
+
+            return lifecycle('onRequest', request)
+                .then(function () {
+                    request.app.hooks.on('http.onPreHandler', function () {
+                        calls.push('scoped');
+                    });
+                    return lifecycle('onPreHandler', request);
+                })
+                .then(function () {
+                    return lifecycle('onPostHandler', request);
+                })
+                .then(function () {
+                    handlers.response(request);
+                    return P.delay(1);
+                })
+                .then(function () {
+                    calls.should.deep.equal(['onRequest', 'scoped', 'onPreHandler', 'onPostHandler', 'response']);
+                });
+        });
+
+        it('should fail requests whose lifecycle listeners fail', function () {
+            var request = { app: {} };
+            registry.register(server, { lifecycle: true }, _.noop);
+            handlers.start();
+            registry.on('hapi.onRequest', function () {
+                throw new Error('Forbidden');
+            });
+
+            return lifecycle('onRequest', request)
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Forbidden');
+                });
+        });
+    });
+
+    describe('startup buffering', function () {
+        var registry;
+
+        beforeEach(function () {
+            registry = hooks.createRegistry();
+            registry.addEvents([
+                { id: 'plugin.loaded', bufferUntilReady: true },
+                'plugin.configured'
+            ]);
+        });
+
+        it('should queue calls until ready and replay them in order', function () {
+            var calls = [];
+            var results = [];
+            registry.startup();
+
+            var first = registry.runHook('plugin.loaded', 'a').then(function (result) {
+                results.push(result);
+            });
+            var second = registry.newInstance().runHook('plugin.loaded', 'b').then(function (result) {
+                results.push(result);
+            });
+
+            registry.on('plugin.loaded', function (name) {
+                calls.push(name);
+                return name.toUpperCase();
+            });
+
+            return P.delay(1)
+                .then(function () {
+                    calls.should.have.length(0);
+                    return registry.ready();
+                })
+                .then(function () {
+                    return P.all([first, second]);
+                })
+                .then(function () {
+                    calls.should.deep.equal(['a', 'b']);
+                    results.should.deep.equal([['A'], ['B']]);
+                    return registry.runHook('plugin.loaded', 'c');
+                })
+                .then(function (result) {
+                    result.should.deep.equal(['C']);
+                });
+        });
+
+        it('should only queue events marked bufferUntilReady', function () {
+            var listener = sinon.spy();
+            registry.startup();
+            registry.on('plugin.configured', listener);
+
+            return registry.runHook('plugin.configured')
+                .then(function () {
+                    listener.should.have.been.called;
+                });
+        });
+
+        it('should queue calls with a child registry in startup mode', function () {
+            var listener = sinon.spy();
+            var child = registry.newInstance().startup();
+            var call = child.createChild().runHook('plugin.loaded', 'a');
+            registry.on('plugin.loaded', listener);
+
+            return P.delay(1)
+                .then(function () {
+                    listener.should.not.have.been.called;
+                    return child.ready();
+                })
+                .then(function () {
+                    return call;
+                })
+                .then(function () {
+                    listener.should.have.been.calledWith('a');
+                });
+        });
+
+        it('should reject replayed calls whose listeners fail', function () {
+            registry.startup();
+            var call = registry.runHook('plugin.loaded');
+            registry.on('plugin.loaded', function () {
+                throw new Error('Not loaded');
+            });
+
+            registry.ready();
+            return call
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Not loaded');
+                });
+        });
+
+        it('should reject the newest calls once the queue is full', function () {
+            registry.startup({ size: 1 });
+            var first = registry.runHook('plugin.loaded', 'a');
+
+            return registry.runHook('plugin.loaded', 'b')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Startup queue is full, dropped plugin.loaded');
+                    registry.ready();
+                    return first;
+                });
+        });
+
+        it('should reject the oldest calls with the drop-oldest policy', function () {
+            registry.startup({ size: 1, overflow: 'drop-oldest' });
+            var first = registry.runHook('plugin.loaded', 'a');
+            var second = registry.runHook('plugin.loaded', 'b');
+
+            registry.ready();
+            return first
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Startup queue is full, dropped plugin.loaded');
+                    return second;
+                });
+        });
+
+        it('should buffer until the hapi server starts', function () {
+            var listener = sinon.spy();
+            var handlers = [];
+            var server = {
+                app: {},
+                expose: sinon.spy(),
+                on: function (event, handler) {
+                    handlers.push(handler);
+                }
+            };
+
+            registry.register(server, { startup: true }, _.noop);
+            var call = registry.runHook('plugin.loaded', 'a');
+            registry.on('plugin.loaded', listener);
+
+            handlers.forEach(function (handler) {
+                handler();
+            });
+
+            return call
+                .then(function () {
+                    listener.should.have.been.calledWith('a');
+                });
+        });
+
+        it('should reject synchronous buffered events', function () {
+            registry.addEvents.bind(registry, { id: 'plugin.sync', sync: true, bufferUntilReady: true })
+                .should.throw('Synchronous hooks cannot be buffered');
+        });
+    });
+
+    describe('createRegistry()', function () {
+        it('should keep event types and listeners separate from the default registry', function () {
+            var registry = hooks.createRegistry();
+            var listener = sinon.spy();
+            registry.addEvents('isolated.beforeRun');
+            should.not.exist(hooks.getEvent('isolated.beforeRun'));
+            registry.getEvent('isolated.beforeRun').should.have.property('id', 'isolated.beforeRun');
+
+            registry.on('isolated.beforeRun', listener);
+            (function () {
+                hooks.on('isolated.beforeRun', _.noop);
+            }).should.throw('Unknown event: isolated.beforeRun');
+
+            return registry.runHook('isolated.beforeRun', 1).then(function () {
+                listener.should.have.been.calledWith(1);
+            });
+        });
+
+        it('should only expose process-wide settings on the module', function () {
+            var registry = hooks.createRegistry();
+            should.not.exist(registry.setValidation);
+            should.not.exist(registry.setLogger);
+            should.not.exist(registry.addReporter);
+            hooks.setValidation.should.be.a('function');
+        });
+
+        it('should share process-wide settings with every registry', function () {
+            var registry = hooks.createRegistry();
+            var logger = { warn: sinon.spy(), error: sinon.spy() };
+            registry.addEvents({ id: 'isolated.count', args: [{ name: 'count', type: 'number' }] });
+            hooks.setValidation('warn');
+            hooks.setLogger(logger);
+
+            return registry.runHook('isolated.count', 'ten')
+                .then(function () {
+                    logger.warn.should.have.been
+                        .calledWith('Invalid argument "count" (position 0) for isolated.count: expected number, got string');
+                })
+                .finally(function () {
+                    hooks.setValidation();
+                    hooks.setLogger();
+                });
+        });
+
+        it('should bind HasHooks objects to the new registry', function () {
+            var registry = hooks.createRegistry();
+            var listener = sinon.spy();
+            registry.addEvents('isolated.afterRun');
+            registry.on('isolated.afterRun', listener);
+
+            function Job() {
+                registry.HasHooks.call(this, 'isolated');
+            }
+
+            util.inherits(Job, registry.HasHooks);
+
+            var job = new Job();
+            job.should.be.an.instanceof(hooks.HasHooks);
+            return job.runHook('afterRun').then(function () {
+                listener.should.have.been.calledWith(job);
+            });
+        });
+
+        it('should register a hapi plugin that only corks its own registry', function () {
+            var registry = hooks.createRegistry();
+            var on = hooks.on;
+            var server = {
+                app: {},
+                expose: sinon.spy(),
+                on: sinon.spy()
+            };
+
+            registry.register(server, {}, _.noop);
+            hooks.on.should.equal(on);
+            server.app.ext.should.equal(registry.on);
+            server.on.should.have.been.calledWith('start', registry.on.uncork);
+            registry.register.should.have.deep.property('attributes.pkg.name', require('../package.json').name);
+        });
+
+        it('should cork scope listeners on the root registry until the server starts', function () {
+            var registry = hooks.createRegistry();
+            var listener = sinon.spy();
+            var server = {
+                app: {},
+                expose: sinon.spy(),
+                on: sinon.spy()
+            };
+
+            registry.register(server, {}, _.noop);
+            should.not.exist(registry.scope('late-plugin').on('late.afterRun', listener));
+            registry.addEvents('late.afterRun');
+
+            registry.on.uncork();
+            registry.listeners('late.afterRun').should.have.length(1);
+            registry.listeners('late.afterRun')[0].plugin.should.equal('late-plugin');
+            return registry.runHook('late.afterRun').then(function () {
+                listener.should.have.been.calledOnce;
+            });
+        });
+    });
+
     describe('register()', function () {
         it('should expose hooks to the hapi server', function () {
             var next = sinon.spy();
@@ -0,0 +1,119 @@
+'use strict';
+
+var chai = require('chai');
+var sinon = require('sinon');
+chai.use(require('sinon-chai'));
+var should = require('chai').should();
+var hooks = require('../lib');
+
+describe('metrics', function () {
+    var registration, instance;
+
+    beforeEach(function () {
+        hooks.addEvents([ 'metrics.beforeRun', 'metrics.afterRun' ]);
+        instance = hooks.newInstance('metrics');
+    });
+
+    afterEach(function () {
+        if (registration) registration.remove();
+        registration = null;
+    });
+
+    it('should report span-style start and end callbacks', function () {
+        var reporter = {
+            onEventStart: sinon.spy(),
+            onEventEnd: sinon.spy(),
+            onListenerStart: sinon.spy(),
+            onListenerEnd: sinon.spy()
+        };
+        registration = hooks.addReporter(reporter);
+        instance.on('beforeRun', function audit() {});
+        return instance.runHook('beforeRun')
+            .then(function () {
+                reporter.onEventStart.should.have.been.calledBefore(reporter.onListenerStart);
+                reporter.onListenerEnd.should.have.been.calledBefore(reporter.onEventEnd);
+
+                var event = reporter.onEventEnd.args[0][0];
+                event.kind.should.equal('event');
+                event.event.should.equal('metrics.beforeRun');
+                event.duration.should.be.at.least(0);
+                should.not.exist(event.error);
+
+                var listener = reporter.onListenerEnd.args[0][0];
+                listener.kind.should.equal('listener');
+                listener.listener.should.equal('audit');
+            });
+    });
+
+    it('should not let a failing reporter affect hooks', function () {
+        registration = hooks.addReporter({
+            onEventStart: function () {
+                throw new Error('broken reporter');
+            }
+        });
+        hooks.setLogger({ error: sinon.spy() });
+        return instance.runHook('beforeRun')
+            .finally(function () {
+                hooks.setLogger();
+            });
+    });
+
+    it('should stop reporting once removed', function () {
+        var reporter = { onEventEnd: sinon.spy() };
+        hooks.addReporter(reporter).remove();
+        return instance.runHook('beforeRun')
+            .then(function () {
+                reporter.onEventEnd.should.not.have.been.called;
+            });
+    });
+
+    describe('MemoryReporter', function () {
+        it('should aggregate durations and failures per event and listener', function () {
+            var reporter = new hooks.MemoryReporter();
+            registration = hooks.addReporter(reporter);
+            instance.on('beforeRun', function broken() {
+                throw new Error('broken');
+            });
+            return instance.runHook('beforeRun')
+                .catch(function () {
+                    return instance.runHook('afterRun');
+                })
+                .then(function () {
+                    var stats = reporter.stats();
+                    stats.events['metrics.beforeRun'].count.should.equal(1);
+                    stats.events['metrics.beforeRun'].failures.should.equal(1);
+                    stats.events['metrics.afterRun'].failures.should.equal(0);
+                    stats.listeners['metrics.beforeRun'].broken.failures.should.equal(1);
+                    stats.events['metrics.afterRun'].totalDuration.should.be.at.least(0);
+                });
+        });
+
+        it('should reset its statistics', function () {
+            var reporter = new hooks.MemoryReporter();
+            reporter.onEventEnd({ event: 'metrics.beforeRun', duration: 1 });
+            reporter.reset();
+            reporter.stats().events.should.deep.equal({});
+        });
+    });
+
+    describe('PrometheusReporter', function () {
+        it('should render metrics in the text exposition format', function () {
+            var reporter = new hooks.PrometheusReporter();
+            reporter.onEventEnd({ event: 'metrics.beforeRun', duration: 1500 });
+            reporter.onListenerEnd({ event: 'metrics.beforeRun', listener: 'say "hi"', duration: 500, error: new Error() });
+
+            var lines = reporter.metrics().split('\n');
+            lines.should.include('# TYPE hooks_event_duration_seconds summary');
+            lines.should.include('hooks_event_duration_seconds_sum{event="metrics.beforeRun"} 1.5');
+            lines.should.include('hooks_event_duration_seconds_count{event="metrics.beforeRun"} 1');
+            lines.should.include('hooks_event_failures_total{event="metrics.beforeRun"} 0');
+            lines.should.include('hooks_listener_failures_total{event="metrics.beforeRun",listener="say \\"hi\\""} 1');
+        });
+
+        it('should support a metric namespace', function () {
+            var reporter = new hooks.PrometheusReporter('informer');
+            reporter.onEventEnd({ event: 'metrics.beforeRun', duration: 1 });
+            reporter.metrics().should.contain('informer_event_duration_seconds_count{event="metrics.beforeRun"} 1');
+        });
+    });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+var chai = require('chai');
+var sinon = require('sinon');
+chai.use(require('sinon-chai'));
+var should = require('chai').should();
+var Writable = require('stream').Writable;
+var hooks = require('../lib');
+
+describe('observe()', function () {
+    var registry = hooks.createRegistry();
+    var instance, observer;
+
+    before(function () {
+        registry.addEvents([
+            'observed.beforeRun',
+            'observed.afterRun',
+            { id: 'observed.transform', type: 'waterfall', sync: true }
+        ]);
+    });
+
+    beforeEach(function () {
+        instance = registry.newInstance('observed');
+    });
+
+    afterEach(function () {
+        if (observer) observer.close();
+        observer = null;
+    });
+
+    it('should yield a record for each invocation once the event settles', function () {
+        observer = instance.observe('afterRun');
+        registry.on('observed.afterRun', function () {
+            return 'done';
+        });
+
+        return instance.runHook('afterRun', 1, 2)
+            .then(function () {
+                return observer.next();
+            })
+            .then(function (item) {
+                item.done.should.be.false;
+                item.value.should.have.property('event', 'observed.afterRun');
+                item.value.should.have.property('args').that.deep.equals([1, 2]);
+                item.value.should.have.property('result').that.deep.equals(['done']);
+                item.value.timestamp.should.be.a('number');
+                should.not.exist(item.value.error);
+            });
+    });
+
+    it('should record failures', function () {
+        var err = new Error('boom');
+        observer = instance.observe('beforeRun');
+        instance.on('beforeRun', function () {
+            throw err;
+        });
+
+        return instance.runHook('beforeRun')
+            .catch(function () {
+                return observer.next();
+            })
+            .then(function (item) {
+                item.value.error.should.equal(err);
+            });
+    });
+
+    it('should observe the events of descendant registries matching a pattern', function () {
+        observer = registry.observe('observed.*');
+        var child = instance.createChild('observed');
+
+        return child.runHook('beforeRun')
+            .then(function () {
+                return instance.runHook('afterRun');
+            })
+            .then(function () {
+                return observer.next();
+            })
+            .then(function (item) {
+                item.value.event.should.equal('observed.beforeRun');
+                return observer.next();
+            })
+            .then(function (item) {
+                item.value.event.should.equal('observed.afterRun');
+            });
+    });
+
+    it('should observe synchronous events', function () {
+        observer = instance.observe('transform');
+        instance.on('transform', function (value) {
+            return value + 1;
+        });
+
+        instance.runHook('transform', 1).should.equal(2);
+        return observer.next()
+            .then(function (item) {
+                item.value.result.should.equal(2);
+            });
+    });
+
+    it('should drop the oldest records once the buffer is full', function () {
+        observer = instance.observe('beforeRun', { bufferSize: 2 });
+
+        return instance.runHook('beforeRun', 1)
+            .then(function () {
+                return instance.runHook('beforeRun', 2);
+            })
+            .then(function () {
+                return instance.runHook('beforeRun', 3);
+            })
+            .then(function () {
+                observer.dropped.should.equal(1);
+                return observer.next();
+            })
+            .then(function (item) {
+                item.value.args.should.deep.equal([2]);
+            });
+    });
+
+    it('should drop the newest records with the drop-newest policy', function () {
+        observer = instance.observe('beforeRun', { bufferSize: 1, overflow: 'drop-newest' });
+
+        return instance.runHook('beforeRun', 1)
+            .then(function () {
+                return instance.runHook('beforeRun', 2);
+            })
+            .then(function () {
+                observer.dropped.should.equal(1);
+                return observer.next();
+            })
+            .then(function (item) {
+                item.value.args.should.deep.equal([1]);
+            });
+    });
+
+    it('should hold callers until the consumer makes room with the wait policy', function () {
+        var settled = sinon.spy();
+        observer = instance.observe('beforeRun', { bufferSize: 1, overflow: 'wait' });
+
+        return instance.runHook('beforeRun', 1)
+            .then(function () {
+                var pending = instance.runHook('beforeRun', 2).then(settled);
+                return Promise.resolve()
+                    .then(function () {
+                        settled.should.not.have.been.called;
+                        return observer.next();
+                    })
+                    .then(function () {
+                        return pending;
+                    });
+            })
+            .then(function () {
+                settled.should.have.been.called;
+                return observer.next();
+            })
+            .then(function (item) {
+                item.value.args.should.deep.equal([2]);
+            });
+    });
+
+    it('should end iteration and stop observing once closed', function () {
+        observer = instance.observe('beforeRun');
+        var next = observer.next();
+        observer.close();
+        instance.observers.should.have.length(0);
+
+        return next
+            .then(function (item) {
+                item.done.should.be.true;
+            });
+    });
+
+    it('should be consumable with for await', async function () {
+        observer = instance.observe('beforeRun');
+        instance.runHook('beforeRun', 'a');
+
+        for await (var record of observer) {
+            record.args.should.deep.equal(['a']);
+            break;
+        }
+
+        observer.closed.should.be.true;
+    });
+
+    it('should be consumable as an object mode stream', function (done) {
+        var records = [];
+        observer = instance.observe('beforeRun');
+
+        observer.stream().pipe(new Writable({
+            objectMode: true,
+            write: function (record, encoding, callback) {
+                records.push(record.args[0]);
+                if (records.length === 2) {
+                    records.should.deep.equal(['a', 'b']);
+                    done();
+                }
+                callback();
+            }
+        }));
+
+        instance.runHook('beforeRun', 'a')
+            .then(function () {
+                return instance.runHook('beforeRun', 'b');
+            });
+    });
+
+    it('should reject unknown overflow policies', function () {
+        instance.observe.bind(instance, 'beforeRun', { overflow: 'spill' })
+            .should.throw('Unknown overflow policy: spill');
+    });
+});
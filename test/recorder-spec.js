@@ -0,0 +1,209 @@
+'use strict';
+
+var chai = require('chai');
+var sinon = require('sinon');
+chai.use(require('sinon-chai'));
+var should = require('chai').should();
+var util = require('util');
+var hooks = require('../lib');
+
+describe('record() and replay()', function () {
+    var registry, recorder, Report, serializers;
+
+    beforeEach(function () {
+        registry = hooks.createRegistry();
+        registry.addEvents([ 'report.beforeRender', 'report.afterRender', { id: 'report.format', sync: true } ]);
+
+        Report = function Report(title) {
+            registry.HasHooks.call(this, 'report');
+            this.title = title;
+        };
+
+        util.inherits(Report, registry.HasHooks);
+
+        serializers = {
+            report: {
+                test: function (value) {
+                    return value instanceof Report;
+                },
+                serialize: function (report) {
+                    return { title: report.title };
+                },
+                deserialize: function (value) {
+                    return new Report(value.title);
+                }
+            }
+        };
+    });
+
+    afterEach(function () {
+        if (recorder) recorder.close();
+        recorder = null;
+    });
+
+    it('should capture curried and explicit arguments and results as JSON', function () {
+        var report = new Report('Sales');
+        recorder = registry.record({ serializers: serializers });
+        registry.on('report.beforeRender', function (self, format) {
+            return format.toUpperCase();
+        });
+
+        return report.runHook('beforeRender', 'pdf', undefined)
+            .then(function () {
+                var log = JSON.parse(JSON.stringify(recorder));
+                log.should.have.length(1);
+                log[0].should.have.property('event', 'report.beforeRender');
+                log[0].curried.should.deep.equal([{ $type: 'report', value: { title: 'Sales' } }]);
+                log[0].args.should.deep.equal(['pdf', { $type: 'undefined' }]);
+                log[0].result.should.deep.equal(['PDF']);
+                log[0].timestamp.should.be.a('number');
+                should.not.exist(log[0].error);
+            });
+    });
+
+    it('should capture failures', function () {
+        recorder = registry.record();
+        registry.on('report.afterRender', function () {
+            throw new TypeError('bad render');
+        });
+
+        return registry.runHook('report.afterRender')
+            .catch(function () {
+                var entry = hooks.Recorder.deserialize(recorder.log()[0]);
+                entry.error.should.be.an.instanceof(Error);
+                entry.error.should.have.property('name', 'TypeError');
+                entry.error.should.have.property('message', 'bad render');
+            });
+    });
+
+    it('should not fail invocations whose values cannot be serialized', function () {
+        var circular = { title: 'Sales' };
+        circular.self = circular;
+        recorder = registry.record();
+        registry.on('report.beforeRender', function () {
+            return 'rendered';
+        });
+
+        return registry.runHook('report.beforeRender', circular)
+            .then(function (result) {
+                result.should.deep.equal(['rendered']);
+
+                var entry = recorder.log()[0];
+                should.equal(entry.args, null);
+                entry.unserializable.should.deep.equal({ args: 'Cannot serialize circular structure' });
+                entry.result.should.deep.equal(['rendered']);
+            });
+    });
+
+    it('should not fail synchronous invocations whose values cannot be serialized', function () {
+        var circular = [];
+        circular.push(circular);
+        recorder = registry.record();
+        registry.on('report.format', function (value) {
+            return value;
+        });
+
+        registry.runHook('report.format', circular)[0].should.equal(circular);
+        recorder.log()[0].unserializable.should.have.keys(['args', 'result']);
+    });
+
+    it('should escape plain objects carrying a $type key', function () {
+        var options = { $type: 'report', value: 'landscape' };
+        recorder = registry.record({ serializers: serializers });
+
+        return registry.runHook('report.afterRender', options)
+            .then(function () {
+                var log = JSON.parse(JSON.stringify(recorder));
+                hooks.Recorder.deserialize(log[0], { serializers: serializers }).args.should.deep.equal([options]);
+            });
+    });
+
+    it('should only record matching events', function () {
+        recorder = registry.record({ event: 'report.afterRender' });
+
+        return registry.runHook('report.beforeRender')
+            .then(function () {
+                return registry.runHook('report.afterRender');
+            })
+            .then(function () {
+                recorder.log().should.have.length(1);
+                recorder.log()[0].event.should.equal('report.afterRender');
+            });
+    });
+
+    it('should stop recording once closed', function () {
+        recorder = registry.record();
+        recorder.close();
+
+        return registry.runHook('report.beforeRender')
+            .then(function () {
+                recorder.log().should.have.length(0);
+                registry.globals.observers.should.have.length(0);
+            });
+    });
+
+    it('should replay a log against a fresh registry', function () {
+        recorder = registry.record({ serializers: serializers });
+        var log;
+
+        return new Report('Sales').runHook('beforeRender', 'pdf')
+            .then(function () {
+                return new Report('Costs').runHook('afterRender', 'csv');
+            })
+            .then(function () {
+                log = JSON.parse(JSON.stringify(recorder));
+
+                var fresh = hooks.createRegistry();
+                var listener = sinon.spy(function (report, format) {
+                    return report.title + '.' + format;
+                });
+
+                fresh.addEvents([ 'report.beforeRender', 'report.afterRender' ]);
+                fresh.on('report.beforeRender', listener);
+                return hooks.replay(log, fresh, { serializers: serializers })
+                    .then(function (outcomes) {
+                        listener.should.have.been.calledOnce;
+                        listener.args[0][0].should.be.an.instanceof(Report);
+                        outcomes.should.have.length(2);
+                        outcomes[0].should.have.property('result').that.deep.equals(['Sales.pdf']);
+                        outcomes[0].recorded.should.equal(log[0]);
+                        outcomes[1].should.have.property('event', 'report.afterRender');
+                    });
+            });
+    });
+
+    it('should report replayed failures', function () {
+        var fresh = hooks.createRegistry();
+        var log = [{ event: 'report.beforeRender', curried: [], args: [], result: [] }];
+
+        return hooks.replay(log, fresh)
+            .then(function (outcomes) {
+                outcomes[0].error.message.should.equal('Unknown event: report.beforeRender');
+            });
+    });
+
+    it('should report invocations whose arguments were not recorded without replaying them', function () {
+        var listener = sinon.spy();
+        var log = [{ event: 'report.beforeRender', curried: [], args: null, unserializable: { args: 'boom' } }];
+        registry.on('report.beforeRender', listener);
+
+        return hooks.replay(log, registry)
+            .then(function (outcomes) {
+                listener.should.not.have.been.called;
+                outcomes[0].error.message
+                    .should.equal('Cannot replay report.beforeRender: its arguments could not be recorded');
+            });
+    });
+
+    it('should reject logs with values it cannot deserialize', function () {
+        var log = [{ event: 'report.beforeRender', curried: [{ $type: 'report', value: {} }], args: [] }];
+
+        return hooks.replay(log, registry)
+            .then(function () {
+                throw new Error('should not have succeeded');
+            })
+            .catch(function (err) {
+                err.message.should.equal('No serializer for type: report');
+            });
+    });
+});
@@ -0,0 +1,414 @@
+'use strict';
+
+var chai = require('chai');
+var sinon = require('sinon');
+chai.use(require('sinon-chai'));
+var should = require('chai').should();
+var path = require('path');
+var EventEmitter = require('events').EventEmitter;
+var P = require('bluebird');
+var hooks = require('../lib');
+var threads = null;
+
+try {
+    threads = require('worker_threads');
+} catch (err) {
+    // Node 10 only provides worker_threads with --experimental-worker
+}
+
+var events = [
+    'job.afterRun',
+    'job.stall',
+    { id: 'job.transform', type: 'waterfall' },
+    { id: 'job.retry', errorPolicy: 'collect' },
+    { id: 'job.render', sync: true }
+];
+
+describe('connect()', function () {
+    describe('over a MessageChannel', function () {
+        var local, remote, channel, Job, serializers;
+
+        before(function () {
+            if (!threads) this.skip();
+        });
+
+        beforeEach(function () {
+            local = hooks.createRegistry();
+            remote = hooks.createRegistry();
+            local.addEvents(events);
+            remote.addEvents(events);
+            channel = new threads.MessageChannel();
+
+            Job = function Job(name) {
+                this.name = name;
+            };
+
+            serializers = {
+                job: {
+                    test: function (value) {
+                        return value instanceof Job;
+                    },
+                    serialize: function (job) {
+                        return job.name;
+                    },
+                    deserialize: function (name) {
+                        return new Job(name);
+                    }
+                }
+            };
+        });
+
+        afterEach(function () {
+            local.globals.dispose();
+            remote.globals.dispose();
+            channel.port1.close();
+        });
+
+        it('should append the remote results to the local results', function () {
+            local.connect(channel.port1, { forward: 'job.afterRun' });
+            remote.connect(channel.port2);
+            local.on('job.afterRun', function () {
+                return 'local';
+            });
+            remote.on('job.afterRun', function (a, b) {
+                return a + b;
+            });
+
+            return local.runHook('job.afterRun', 1, 2)
+                .then(function (results) {
+                    results.should.deep.equal(['local', 3]);
+                });
+        });
+
+        it('should hand waterfall values on to the remote side', function () {
+            local.connect(channel.port1, { forward: 'job.*' });
+            remote.connect(channel.port2);
+            local.on('job.transform', function (value) {
+                return value + 1;
+            });
+            remote.on('job.transform', function (value) {
+                return value * 10;
+            });
+
+            return local.runHook('job.transform', 1)
+                .then(function (value) {
+                    value.should.equal(20);
+                });
+        });
+
+        it('should serialize arguments with custom serializers', function () {
+            var listener = sinon.spy();
+            var child = local.newInstance('job').curry(new Job('nightly'));
+            local.connect(channel.port1, { forward: 'job.afterRun', serializers: serializers });
+            remote.connect(channel.port2, { serializers: serializers });
+            remote.on('job.afterRun', listener);
+
+            return child.runHook('afterRun', { at: new Date(0), retries: undefined })
+                .then(function () {
+                    listener.should.have.been.calledOnce;
+                    listener.args[0][0].should.be.an.instanceof(Job);
+                    listener.args[0][0].name.should.equal('nightly');
+                    listener.args[0][1].at.should.equal('1970-01-01T00:00:00.000Z');
+                    listener.args[0][1].should.have.property('retries');
+                    should.not.exist(listener.args[0][1].retries);
+                });
+        });
+
+        it('should rebuild remote errors as their registered types', function () {
+            local.connect(channel.port1, { forward: 'job.afterRun' });
+            remote.connect(channel.port2);
+            remote.on('job.afterRun', function () {
+                var err = new TypeError('bad job');
+                err.code = 'EJOB';
+                throw err;
+            });
+
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(TypeError);
+                    err.message.should.equal('bad job');
+                    err.code.should.equal('EJOB');
+                    err.remote.should.be.true;
+                    err.stack.should.contain('bad job');
+                });
+        });
+
+        it('should rebuild errors collected on the remote side', function () {
+            local.connect(channel.port1, { forward: 'job.retry' });
+            remote.connect(channel.port2);
+            remote.on('job.retry', function () {
+                throw new RangeError('too many retries');
+            });
+
+            return local.runHook('job.retry')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(local.HookError);
+                    err.errors.should.have.length(1);
+                    err.errors[0].should.be.an.instanceof(local.HookError);
+                    err.errors[0].errors[0].should.be.an.instanceof(RangeError);
+                    err.errors[0].errors[0].message.should.equal('too many retries');
+                });
+        });
+
+        it('should reject calls the remote side does not answer in time', function () {
+            local.connect(channel.port1, { forward: 'job.stall', timeout: 20 });
+            remote.connect(channel.port2);
+            remote.on('job.stall', function () {
+                return new P(function () {});
+            });
+
+            return local.runHook('job.stall')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Remote call for job.stall timed out after 20ms');
+                });
+        });
+
+        it('should reject remote events it does not know', function () {
+            local.connect(channel.port1, { forward: 'job.afterRun' });
+            remote.connect(channel.port2);
+            remote.removeEvents('job.afterRun');
+
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Unknown event: job.afterRun');
+                });
+        });
+
+        it('should not forward calls coming from the remote side again', function () {
+            var listener = sinon.spy();
+            local.connect(channel.port1, { forward: 'job.*' });
+            remote.connect(channel.port2, { forward: 'job.*' });
+            local.on('job.afterRun', listener);
+            remote.on('job.afterRun', listener);
+
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    listener.should.have.been.calledTwice;
+                });
+        });
+
+        it('should only forward matching events', function () {
+            var listener = sinon.spy();
+            local.connect(channel.port1, { forward: 'job.transform' });
+            remote.connect(channel.port2);
+            remote.on('job.afterRun', listener);
+
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    listener.should.not.have.been.called;
+                });
+        });
+
+        it('should reject arguments it cannot serialize without leaving the call pending', function () {
+            var transport = local.connect(channel.port1, { forward: 'job.afterRun', timeout: 1000 });
+            var circular = {};
+            circular.self = circular;
+            remote.connect(channel.port2);
+
+            return local.runHook('job.afterRun', circular)
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Cannot serialize circular structure');
+                    transport.pending.should.be.empty;
+                });
+        });
+
+        it('should answer with an error when the remote result cannot be serialized', function () {
+            local.connect(channel.port1, { forward: 'job.afterRun' });
+            remote.connect(channel.port2);
+            remote.on('job.afterRun', function () {
+                var circular = {};
+                circular.self = circular;
+                return circular;
+            });
+
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(TypeError);
+                    err.message.should.equal('Cannot serialize circular structure');
+                    err.remote.should.be.true;
+                });
+        });
+
+        it('should not fail the serving side when its reply cannot be sent', function () {
+            var onUnhandled = sinon.spy();
+            var transport = remote.connect(channel.port2);
+            local.connect(channel.port1, { forward: 'job.afterRun', timeout: 20 });
+            transport.channel.send = function () {
+                throw new Error('Channel closed');
+            };
+
+            process.on('unhandledRejection', onUnhandled);
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Remote call for job.afterRun timed out after 20ms');
+                    onUnhandled.should.not.have.been.called;
+                })
+                .finally(function () {
+                    process.removeListener('unhandledRejection', onUnhandled);
+                });
+        });
+
+        it('should reject calls the channel fails to send without leaving them pending', function () {
+            var transport = local.connect(channel.port1, { forward: 'job.afterRun', timeout: 1000 });
+            transport.channel.send = function () {
+                throw new Error('Channel closed');
+            };
+
+            return local.runHook('job.afterRun')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Channel closed');
+                    transport.pending.should.be.empty;
+                });
+        });
+
+        it('should refuse to forward synchronous events', function () {
+            local.connect.bind(local, channel.port1, { forward: 'job.render' })
+                .should.throw('job.render cannot be forwarded');
+        });
+
+        it('should reject pending calls once closed', function () {
+            var transport = local.connect(channel.port1, { forward: 'job.stall' });
+            remote.connect(channel.port2);
+            remote.on('job.stall', function () {
+                return new P(function () {});
+            });
+
+            var pending = local.runHook('job.stall');
+
+            return P.delay(10)
+                .then(function () {
+                    transport.close();
+                    local.globals.links.should.have.length(0);
+                    return pending;
+                })
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Transport closed before job.stall settled');
+                });
+        });
+    });
+
+    describe('over a process IPC channel', function () {
+        it('should close once the process disconnects', function () {
+            var registry = hooks.createRegistry();
+            var child = new EventEmitter();
+            child.send = sinon.spy();
+            registry.addEvents('job.afterRun');
+
+            var transport = registry.connect(child, { forward: 'job.afterRun' });
+            var pending = registry.runHook('job.afterRun');
+
+            return P.delay(1)
+                .then(function () {
+                    child.send.should.have.been.calledOnce;
+                    child.emit('disconnect');
+                    transport.closed.should.be.true;
+                    child.listenerCount('message').should.equal(0);
+                    child.listenerCount('disconnect').should.equal(0);
+                    return pending;
+                })
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.message.should.equal('Transport closed before job.afterRun settled');
+                });
+        });
+    });
+
+    describe('over worker_threads', function () {
+        var registry, worker;
+
+        this.timeout(10000);
+
+        before(function (done) {
+            if (!threads) return this.skip();
+
+            registry = hooks.createRegistry();
+            registry.addEvents([
+                'job.afterRun',
+                'job.report',
+                'job.progress',
+                { id: 'job.transform', type: 'waterfall' },
+                { id: 'job.schedule', args: [{ name: 'delay', type: 'number' }] }
+            ]);
+
+            worker = new threads.Worker(path.join(__dirname, 'fixtures', 'worker.js'));
+            worker.once('error', done);
+            worker.once('message', function () {
+                done();
+            });
+
+            registry.connect(worker, { forward: 'job.*', timeout: 5000 });
+        });
+
+        after(function () {
+            if (!worker) return;
+            registry.globals.dispose();
+            return worker.terminate();
+        });
+
+        it('should run the listeners of the worker', function () {
+            return registry.runHook('job.afterRun', { name: 'nightly' })
+                .then(function (results) {
+                    results.should.deep.equal(['indexed nightly in thread ' + worker.threadId]);
+                });
+        });
+
+        it('should run waterfall listeners in the worker', function () {
+            return registry.runHook('job.transform', 4)
+                .then(function (value) {
+                    value.should.equal(40);
+                });
+        });
+
+        it('should rebuild errors raised in the worker', function () {
+            return registry.runHook('job.schedule', 'soon')
+                .then(function () {
+                    throw new Error('should not have succeeded');
+                })
+                .catch(function (err) {
+                    err.should.be.an.instanceof(registry.HookArgumentError);
+                    err.argument.should.equal('delay');
+                    err.remote.should.be.true;
+                });
+        });
+
+        it('should run events the worker forwards back', function () {
+            registry.on('job.progress', function (job, percent) {
+                return job.name + ' ' + percent + '%';
+            });
+
+            return registry.runHook('job.report', { name: 'nightly' })
+                .then(function (results) {
+                    results.should.deep.equal([['nightly 50%']]);
+                });
+        });
+    });
+});